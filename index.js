@@ -5,46 +5,634 @@
  * @license MIT
  */
 
-let CONFIG = {
+const DEFAULT_CONFIG = Object.freeze({
   upstream_url_base: "https://generativelanguage.googleapis.com",
+  upstream_mode: "gemini",
+  vertex_project: "",
+  vertex_location: "us-central1",
+  vertex_url_base: "",
+  vertex_service_account: null,
+  vertex_token_url: "",
+  upstream_simulator: false,
+  simulator_script: "ok",
+  simulator_text: "",
+  simulator_chunk_chars: 24,
+  simulator_chunk_delay_ms: 20,
   max_consecutive_retries: 100,
-  debug_mode: true,
+  debug_mode: false,
+  log_level: "info",
+  log_format: "json",
+  log_redact_content: true,
+  log_debug_sample_rate: 1,
+  log_sink_url: "",
+  log_sink_token: "",
+  log_sink_batch_size: 50,
   retry_delay_ms: 750,
+  retry_max_delay_ms: 30000,
+  retry_backoff_multiplier: 2,
+  retry_jitter: "full",
+  retry_policies: {},
   swallow_thoughts_after_retry: true,
-};
+  upstream_api_keys: [],
+  key_selection_strategy: "round_robin",
+  key_cooldown_ms: 60000,
+  proxy_auth_tokens: [],
+  metrics_token: "",
+  record_sessions: false,
+  recording_store: "",
+  recording_sample_rate: 1,
+  recording_dir: "./recordings",
+  recording_kv_binding: "RECORDINGS",
+  recording_ttl_seconds: 604800,
+  replay_token: "",
+  response_cache: "",
+  response_cache_mode: "idempotency",
+  response_cache_ttl_seconds: 3600,
+  response_cache_max_entries: 500,
+  response_cache_kv_binding: "RESPONSE_CACHE_KV",
+  response_cache_detached_max_ms: 120000,
+  session_deadline_ms: 0,
+  first_byte_timeout_ms: 120000,
+  first_content_timeout_ms: 240000,
+  idle_timeout_ms: 60000,
+  thought_idle_timeout_ms: 180000,
+  completion_sentinel: "[done]",
+  sentinel_instruction: "Your message must end with {sentinel} to signify the end of your output.",
+  strip_sentinel: true,
+  sentinel_disabled_models: [],
+  sentinel_mode: "auto",
+  overlap_holdback_chars: 400,
+  overlap_min_similarity: 0.9,
+  overlap_min_chars: 12,
+  status_events: false,
+  heartbeat_interval_ms: 15000,
+  enforce_output_token_budget: true,
+  model_fallbacks: {},
+  model_fallback_after: 3,
+  model_fallback_reasons: ["BLOCK", "FINISH_ABNORMAL"],
+  block_recovery: { PROMPT: ["relax_safety", "switch_model", "give_up"], SAFETY: ["relax_safety", "switch_model", "give_up"], PROHIBITED_CONTENT: ["switch_model", "give_up"], RECITATION: ["rephrase", "switch_model", "give_up"] },
+  relaxed_safety_threshold: "BLOCK_NONE",
+  block_rephrase_prompt: "Continue the answer from exactly where it stopped, in your own words rather than quoting any source verbatim, without any preamble or repetition.",
+  continuation_strategies: ["user_turn", "system_instruction", "model_prefill"],
+  continuation_strategy_max_failures: 2,
+  continuation_language: "auto",
+  continuation_prompt: "",
+  continuation_system_prompt: "",
+  continuation_thought_context_chars: 0,
+  allow_request_overrides: true,
+  model_policies: [],
+});
+
+// 解析列表类型的配置：支持 JSON 数组，或以逗号/换行分隔的字符串
+function parseListValue(value) {
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith("[")) {
+    try {
+      const arr = JSON.parse(trimmed);
+      if (Array.isArray(arr)) return arr.map(v => String(v).trim()).filter(Boolean);
+    } catch (_) {}
+  }
+  return trimmed.split(/[\s,]+/).map(v => v.trim()).filter(Boolean);
+}
 
-// 从环境变量更新配置的函数
-function updateConfigFromEnv(env) {
+// 从环境变量构建配置；无效的 JSON 设置会被忽略，并把提示追加到 warnings
+function configFromEnv(env, warnings) {
+  const config = { ...DEFAULT_CONFIG };
   if (env.UPSTREAM_URL_BASE) {
-    CONFIG.upstream_url_base = env.UPSTREAM_URL_BASE;
+    config.upstream_url_base = env.UPSTREAM_URL_BASE;
+  }
+  if (env.UPSTREAM_MODE) {
+    config.upstream_mode = env.UPSTREAM_MODE.toLowerCase();
+  }
+  if (env.VERTEX_PROJECT) {
+    config.vertex_project = env.VERTEX_PROJECT;
+  }
+  if (env.VERTEX_LOCATION) {
+    config.vertex_location = env.VERTEX_LOCATION;
+  }
+  if (env.VERTEX_URL_BASE) {
+    config.vertex_url_base = env.VERTEX_URL_BASE;
+  }
+  if (env.VERTEX_SERVICE_ACCOUNT) {
+    try {
+      config.vertex_service_account = JSON.parse(env.VERTEX_SERVICE_ACCOUNT);
+    } catch (e) {
+      warnings.push(`Ignoring invalid VERTEX_SERVICE_ACCOUNT JSON: ${e.message}`);
+    }
+  }
+  if (env.VERTEX_TOKEN_URL) {
+    config.vertex_token_url = env.VERTEX_TOKEN_URL;
+  }
+  if (env.UPSTREAM_SIMULATOR !== undefined) {
+    config.upstream_simulator = env.UPSTREAM_SIMULATOR === 'true';
+  }
+  if (env.SIMULATOR_SCRIPT) {
+    config.simulator_script = env.SIMULATOR_SCRIPT;
+  }
+  if (env.SIMULATOR_TEXT) {
+    config.simulator_text = env.SIMULATOR_TEXT;
+  }
+  if (env.SIMULATOR_CHUNK_CHARS) {
+    config.simulator_chunk_chars = parseInt(env.SIMULATOR_CHUNK_CHARS);
+  }
+  if (env.SIMULATOR_CHUNK_DELAY_MS) {
+    config.simulator_chunk_delay_ms = parseInt(env.SIMULATOR_CHUNK_DELAY_MS);
   }
   if (env.MAX_CONSECUTIVE_RETRIES) {
-    CONFIG.max_consecutive_retries = parseInt(env.MAX_CONSECUTIVE_RETRIES);
+    config.max_consecutive_retries = parseInt(env.MAX_CONSECUTIVE_RETRIES);
   }
   if (env.DEBUG_MODE !== undefined) {
-    CONFIG.debug_mode = env.DEBUG_MODE === 'true';
+    config.debug_mode = env.DEBUG_MODE === 'true';
+  }
+  if (env.LOG_LEVEL) {
+    config.log_level = env.LOG_LEVEL.toLowerCase();
+  }
+  if (env.LOG_FORMAT) {
+    config.log_format = env.LOG_FORMAT.toLowerCase();
+  }
+  if (env.LOG_REDACT_CONTENT !== undefined) {
+    config.log_redact_content = env.LOG_REDACT_CONTENT !== 'false';
+  }
+  if (env.LOG_DEBUG_SAMPLE_RATE) {
+    config.log_debug_sample_rate = parseFloat(env.LOG_DEBUG_SAMPLE_RATE);
+  }
+  if (env.LOG_SINK_URL) {
+    config.log_sink_url = env.LOG_SINK_URL;
+  }
+  if (env.LOG_SINK_TOKEN) {
+    config.log_sink_token = env.LOG_SINK_TOKEN;
+  }
+  if (env.LOG_SINK_BATCH_SIZE) {
+    config.log_sink_batch_size = parseInt(env.LOG_SINK_BATCH_SIZE);
   }
   if (env.RETRY_DELAY_MS) {
-    CONFIG.retry_delay_ms = parseInt(env.RETRY_DELAY_MS);
+    config.retry_delay_ms = parseInt(env.RETRY_DELAY_MS);
+  }
+  if (env.RETRY_MAX_DELAY_MS) {
+    config.retry_max_delay_ms = parseInt(env.RETRY_MAX_DELAY_MS);
+  }
+  if (env.RETRY_BACKOFF_MULTIPLIER) {
+    config.retry_backoff_multiplier = parseFloat(env.RETRY_BACKOFF_MULTIPLIER);
+  }
+  if (env.RETRY_JITTER) {
+    config.retry_jitter = env.RETRY_JITTER;
+  }
+  if (env.RETRY_POLICIES) {
+    try {
+      config.retry_policies = JSON.parse(env.RETRY_POLICIES);
+    } catch (e) {
+      warnings.push(`Ignoring invalid RETRY_POLICIES JSON: ${e.message}`);
+    }
   }
   if (env.SWALLOW_THOUGHTS_AFTER_RETRY !== undefined) {
-    CONFIG.swallow_thoughts_after_retry = env.SWALLOW_THOUGHTS_AFTER_RETRY === 'false' ? false : true;
+    config.swallow_thoughts_after_retry = env.SWALLOW_THOUGHTS_AFTER_RETRY === 'false' ? false : true;
+  }
+  if (env.UPSTREAM_API_KEYS !== undefined) {
+    config.upstream_api_keys = parseListValue(env.UPSTREAM_API_KEYS);
+  }
+  if (env.KEY_SELECTION_STRATEGY) {
+    config.key_selection_strategy = env.KEY_SELECTION_STRATEGY;
+  }
+  if (env.KEY_COOLDOWN_MS) {
+    config.key_cooldown_ms = parseInt(env.KEY_COOLDOWN_MS);
+  }
+  if (env.PROXY_AUTH_TOKENS !== undefined) {
+    config.proxy_auth_tokens = parseListValue(env.PROXY_AUTH_TOKENS);
+  }
+  if (env.METRICS_TOKEN) {
+    config.metrics_token = env.METRICS_TOKEN;
+  }
+  if (env.RECORD_SESSIONS !== undefined) {
+    config.record_sessions = env.RECORD_SESSIONS === 'true';
+  }
+  if (env.RECORDING_STORE) {
+    config.recording_store = env.RECORDING_STORE.toLowerCase();
+  }
+  if (env.RECORDING_SAMPLE_RATE) {
+    config.recording_sample_rate = parseFloat(env.RECORDING_SAMPLE_RATE);
+  }
+  if (env.RECORDING_DIR) {
+    config.recording_dir = env.RECORDING_DIR;
+  }
+  if (env.RECORDING_KV_BINDING) {
+    config.recording_kv_binding = env.RECORDING_KV_BINDING;
+  }
+  if (env.RECORDING_TTL_SECONDS) {
+    config.recording_ttl_seconds = parseInt(env.RECORDING_TTL_SECONDS);
+  }
+  if (env.REPLAY_TOKEN) {
+    config.replay_token = env.REPLAY_TOKEN;
+  }
+  if (env.RESPONSE_CACHE) {
+    config.response_cache = env.RESPONSE_CACHE.toLowerCase();
+  }
+  if (env.RESPONSE_CACHE_MODE) {
+    config.response_cache_mode = env.RESPONSE_CACHE_MODE.toLowerCase();
+  }
+  if (env.RESPONSE_CACHE_TTL_SECONDS) {
+    config.response_cache_ttl_seconds = parseInt(env.RESPONSE_CACHE_TTL_SECONDS);
+  }
+  if (env.RESPONSE_CACHE_MAX_ENTRIES) {
+    config.response_cache_max_entries = parseInt(env.RESPONSE_CACHE_MAX_ENTRIES);
+  }
+  if (env.RESPONSE_CACHE_KV_BINDING) {
+    config.response_cache_kv_binding = env.RESPONSE_CACHE_KV_BINDING;
+  }
+  if (env.RESPONSE_CACHE_DETACHED_MAX_MS) {
+    config.response_cache_detached_max_ms = parseInt(env.RESPONSE_CACHE_DETACHED_MAX_MS);
+  }
+  if (env.SESSION_DEADLINE_MS) {
+    config.session_deadline_ms = parseInt(env.SESSION_DEADLINE_MS);
+  }
+  if (env.FIRST_BYTE_TIMEOUT_MS) {
+    config.first_byte_timeout_ms = parseInt(env.FIRST_BYTE_TIMEOUT_MS);
+  }
+  if (env.FIRST_CONTENT_TIMEOUT_MS) {
+    config.first_content_timeout_ms = parseInt(env.FIRST_CONTENT_TIMEOUT_MS);
+  }
+  if (env.IDLE_TIMEOUT_MS) {
+    config.idle_timeout_ms = parseInt(env.IDLE_TIMEOUT_MS);
+  }
+  if (env.THOUGHT_IDLE_TIMEOUT_MS) {
+    config.thought_idle_timeout_ms = parseInt(env.THOUGHT_IDLE_TIMEOUT_MS);
+  }
+  if (env.COMPLETION_SENTINEL) {
+    config.completion_sentinel = env.COMPLETION_SENTINEL;
+  }
+  if (env.SENTINEL_INSTRUCTION) {
+    config.sentinel_instruction = env.SENTINEL_INSTRUCTION;
+  }
+  if (env.STRIP_SENTINEL !== undefined) {
+    config.strip_sentinel = env.STRIP_SENTINEL !== 'false';
+  }
+  if (env.SENTINEL_DISABLED_MODELS !== undefined) {
+    config.sentinel_disabled_models = parseListValue(env.SENTINEL_DISABLED_MODELS);
+  }
+  if (env.SENTINEL_MODE && ["on", "off", "auto"].includes(env.SENTINEL_MODE)) {
+    config.sentinel_mode = env.SENTINEL_MODE;
+  }
+  if (env.OVERLAP_HOLDBACK_CHARS) {
+    config.overlap_holdback_chars = parseInt(env.OVERLAP_HOLDBACK_CHARS);
+  }
+  if (env.OVERLAP_MIN_SIMILARITY) {
+    config.overlap_min_similarity = parseFloat(env.OVERLAP_MIN_SIMILARITY);
+  }
+  if (env.OVERLAP_MIN_CHARS) {
+    config.overlap_min_chars = parseInt(env.OVERLAP_MIN_CHARS);
+  }
+  if (env.STATUS_EVENTS !== undefined) {
+    config.status_events = env.STATUS_EVENTS === 'true';
+  }
+  if (env.HEARTBEAT_INTERVAL_MS) {
+    config.heartbeat_interval_ms = parseInt(env.HEARTBEAT_INTERVAL_MS);
+  }
+  if (env.ENFORCE_OUTPUT_TOKEN_BUDGET !== undefined) {
+    config.enforce_output_token_budget = env.ENFORCE_OUTPUT_TOKEN_BUDGET !== 'false';
+  }
+  if (env.MODEL_FALLBACKS) {
+    try {
+      config.model_fallbacks = JSON.parse(env.MODEL_FALLBACKS);
+    } catch (e) {
+      warnings.push(`Ignoring invalid MODEL_FALLBACKS JSON: ${e.message}`);
+    }
+  }
+  if (env.MODEL_FALLBACK_AFTER) {
+    config.model_fallback_after = parseInt(env.MODEL_FALLBACK_AFTER);
+  }
+  if (env.MODEL_FALLBACK_REASONS) {
+    config.model_fallback_reasons = parseListValue(env.MODEL_FALLBACK_REASONS);
   }
+  if (env.BLOCK_RECOVERY) {
+    try {
+      config.block_recovery = { ...config.block_recovery, ...JSON.parse(env.BLOCK_RECOVERY) };
+    } catch (e) {
+      warnings.push(`Ignoring invalid BLOCK_RECOVERY JSON: ${e.message}`);
+    }
+  }
+  if (env.RELAXED_SAFETY_THRESHOLD) {
+    config.relaxed_safety_threshold = env.RELAXED_SAFETY_THRESHOLD;
+  }
+  if (env.BLOCK_REPHRASE_PROMPT) {
+    config.block_rephrase_prompt = env.BLOCK_REPHRASE_PROMPT;
+  }
+  if (env.CONTINUATION_STRATEGIES) {
+    config.continuation_strategies = parseListValue(env.CONTINUATION_STRATEGIES);
+  }
+  if (env.CONTINUATION_STRATEGY_MAX_FAILURES) {
+    config.continuation_strategy_max_failures = parseInt(env.CONTINUATION_STRATEGY_MAX_FAILURES);
+  }
+  if (env.CONTINUATION_LANGUAGE) {
+    config.continuation_language = env.CONTINUATION_LANGUAGE;
+  }
+  if (env.CONTINUATION_PROMPT) {
+    config.continuation_prompt = env.CONTINUATION_PROMPT;
+  }
+  if (env.CONTINUATION_SYSTEM_PROMPT) {
+    config.continuation_system_prompt = env.CONTINUATION_SYSTEM_PROMPT;
+  }
+  if (env.CONTINUATION_THOUGHT_CONTEXT_CHARS) {
+    config.continuation_thought_context_chars = parseInt(env.CONTINUATION_THOUGHT_CONTEXT_CHARS);
+  }
+  if (env.ALLOW_REQUEST_OVERRIDES !== undefined) {
+    config.allow_request_overrides = env.ALLOW_REQUEST_OVERRIDES !== 'false';
+  }
+  if (env.MODEL_POLICIES) {
+    try {
+      config.model_policies = Object.entries(JSON.parse(env.MODEL_POLICIES));
+    } catch (e) {
+      warnings.push(`Ignoring invalid MODEL_POLICIES JSON: ${e.message}`);
+    }
+  }
+  return config;
+}
+
+const envConfigCache = new WeakMap();
+
+/**
+ * Returns the configuration built from an environment object, parsing it only once per isolate. Settings that fail to
+ * parse are reported a single time through the structured logger at `warn`, rather than on every request.
+ * @param {object} env The environment variables.
+ * @returns {Readonly<object>} The frozen environment configuration.
+ */
+function envConfig(env) {
+  let config = envConfigCache.get(env);
+  if (!config) {
+    const warnings = [];
+    config = deepFreeze(configFromEnv(env, warnings));
+    envConfigCache.set(env, config);
+    const log = createLogger(config, [{ component: "config" }]);
+    for (const warning of warnings) log.warn(warning);
+  }
+  return config;
 }
 
-const NON_RETRYABLE_STATUSES = new Set([400, 401, 403, 404, 429]);
+// Settings a deployment fixes for everyone; model policies and request overrides cannot change them.
+const DEPLOYMENT_ONLY_SETTINGS = new Set([
+  "upstream_url_base", "upstream_mode", "vertex_project", "vertex_location", "vertex_url_base", "vertex_service_account",
+  "vertex_token_url", "upstream_simulator", "debug_mode", "upstream_api_keys", "key_selection_strategy", "key_cooldown_ms",
+  "proxy_auth_tokens", "metrics_token", "allow_request_overrides", "model_policies",
+  "recording_store", "recording_sample_rate", "recording_dir", "recording_kv_binding", "recording_ttl_seconds", "replay_token",
+  "response_cache", "response_cache_ttl_seconds", "response_cache_max_entries", "response_cache_kv_binding",
+  "response_cache_detached_max_ms",
+  "log_level", "log_format", "log_redact_content", "log_debug_sample_rate", "log_sink_url", "log_sink_token", "log_sink_batch_size",
+]);
+
+const parseBooleanSetting = (value) => {
+  const v = String(value).trim().toLowerCase();
+  if (["on", "true", "1", "yes"].includes(v)) return true;
+  if (["off", "false", "0", "no"].includes(v)) return false;
+  return undefined;
+};
+const parseIntSetting = (min, max) => (value) => {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? undefined : Math.min(max, Math.max(min, n));
+};
+const parseTextSetting = (value) => {
+  try { return decodeURIComponent(String(value)).slice(0, 2000); } catch (_) { return String(value).slice(0, 2000); }
+};
 
+// Settings a single request may override through an `X-Antiblock-*` header or an `antiblock_*` query parameter.
+// Numeric settings are clamped against the deployment's value with `clamp` (lowered, unless a setting names
+// Math.max), so a request never retries more often or sooner than the deployment allows.
+const REQUEST_OVERRIDES = {
+  max_consecutive_retries: { header: "x-antiblock-max-retries", query: "antiblock_max_retries", parse: parseIntSetting(0, 1000) },
+  retry_delay_ms: { header: "x-antiblock-retry-delay-ms", query: "antiblock_retry_delay_ms", parse: parseIntSetting(0, 60000), clamp: Math.max },
+  swallow_thoughts_after_retry: { header: "x-antiblock-swallow-thoughts", query: "antiblock_swallow_thoughts", parse: parseBooleanSetting },
+  sentinel_mode: {
+    header: "x-antiblock-sentinel",
+    query: "antiblock_sentinel",
+    parse: (value) => {
+      const enabled = parseBooleanSetting(value);
+      if (enabled === undefined) return String(value).trim().toLowerCase() === "auto" ? "auto" : undefined;
+      return enabled ? "on" : "off";
+    },
+  },
+  status_events: { header: "x-antiblock-events", query: "antiblock_events", parse: parseBooleanSetting },
+  continuation_prompt: { header: "x-antiblock-continuation-prompt", query: "antiblock_continuation_prompt", parse: parseTextSetting },
+  simulator_script: { header: "x-antiblock-simulate", query: "antiblock_simulate", parse: parseTextSetting },
+  response_cache_mode: {
+    header: "x-antiblock-cache",
+    query: "antiblock_cache",
+    parse: (value) => {
+      const mode = String(value).trim().toLowerCase();
+      return ["off", "idempotency", "all"].includes(mode) ? mode : undefined;
+    },
+  },
+};
+
+const deepFreeze = (obj) => {
+  if (obj && typeof obj === "object" && !Object.isFrozen(obj)) {
+    Object.freeze(obj);
+    for (const value of Object.values(obj)) deepFreeze(value);
+  }
+  return obj;
+};
+
+/**
+ * Resolves the configuration for one request: defaults, then the environment, then every MODEL_POLICIES entry whose
+ * pattern matches the model (in file order, later entries win), then the request's own overrides. The result is
+ * frozen, so concurrent requests can never observe each other's settings.
+ * @param {object} env The environment variables.
+ * @param {Request} request The client request.
+ * @param {string|null} model The model the request targets, if known.
+ * @returns {Readonly<object>} The resolved configuration.
+ */
+function resolveConfig(env, request, model) {
+  const config = { ...envConfig(env) };
+
+  if (model) {
+    for (const [pattern, overrides] of config.model_policies) {
+      if (!overrides || typeof overrides !== "object" || !matchesModelPattern(model, pattern)) continue;
+      for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in DEFAULT_CONFIG) || DEPLOYMENT_ONLY_SETTINGS.has(key)) continue;
+        if (typeof value !== typeof DEFAULT_CONFIG[key]) continue;
+        config[key] = value;
+      }
+    }
+  }
+
+  if (config.allow_request_overrides) {
+    const params = new URL(request.url).searchParams;
+    for (const [key, { header, query, parse, clamp = Math.min }] of Object.entries(REQUEST_OVERRIDES)) {
+      const raw = request.headers.get(header) ?? params.get(query);
+      if (raw === null) continue;
+      const value = parse(raw);
+      if (value === undefined) continue;
+      config[key] = typeof value === "number" ? clamp(value, config[key]) : value;
+    }
+  }
+
+  return deepFreeze(config);
+}
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_CONTENT = Symbol("logContent");
+
+/**
+ * Marks prompt or response text passed to a logger so it can be redacted (`log_redact_content`) or truncated.
+ * @param {*} text
+ * @param {number} [maxChars=200]
+ */
+const logContent = (text, maxChars = 200) => ({ [LOG_CONTENT]: String(text ?? ""), maxChars });
+
+/**
+ * Masks API keys and bearer tokens in a log message. Applied to every record regardless of configuration.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactSecrets(text) {
+  return text
+    .replace(/([?&](?:key|api_key|access_token)=)[^&\s"']+/gi, "$1[REDACTED]")
+    .replace(/AIza[0-9A-Za-z_-]{30,}/g, "[REDACTED]")
+    .replace(/(Bearer\s+)[^\s"',]+/gi, "$1[REDACTED]");
+}
+
+function formatLogArg(config, arg) {
+  if (arg && typeof arg === "object" && LOG_CONTENT in arg) {
+    const text = arg[LOG_CONTENT];
+    if (config.log_redact_content) return `[redacted ${text.length} chars]`;
+    return text.length > arg.maxChars ? `${text.substring(0, arg.maxChars)}...` : text;
+  }
+  if (arg instanceof Error) return arg.message;
+  if (typeof arg === "string") return arg;
+  try {
+    return JSON.stringify(arg);
+  } catch (_) {
+    return String(arg);
+  }
+}
+
+// Records waiting to be shipped, per sink URL. Batches are flushed when full, or one second after their first record.
+const logSinkState = new Map();
+
+function flushLogSink(config, url) {
+  const batch = logSinkState.get(url);
+  if (!batch) return;
+  logSinkState.delete(url);
+  clearTimeout(batch.timer);
+  const body = batch.records.map(record => JSON.stringify(record)).join("\n") + "\n";
+
+  // "console" is the local stand-in for a real collector: batches are printed instead of POSTed.
+  if (url === "console") {
+    console.log(`[LOG SINK] ${batch.records.length} record(s)\n${body}`);
+    batch.settle();
+    return;
+  }
+  const headers = { "Content-Type": "application/x-ndjson" };
+  if (config.log_sink_token) headers["Authorization"] = `Bearer ${config.log_sink_token}`;
+  batch.settle(fetch(url, { method: "POST", headers, body })
+    .then(res => { if (!res.ok) console.error(`Log sink rejected ${batch.records.length} record(s): HTTP ${res.status}`); })
+    .catch(e => console.error(`Log sink delivery failed: ${e.message}`)));
+}
+
+function shipLogRecord(config, record, waitUntil) {
+  const url = config.log_sink_url;
+  let batch = logSinkState.get(url);
+  if (!batch) {
+    batch = { records: [], timer: null, settle: null };
+    const settled = new Promise(resolve => { batch.settle = resolve; });
+    // Workers stop timers once a response is done; waitUntil keeps the request alive until the batch is delivered.
+    if (waitUntil) waitUntil(settled);
+    logSinkState.set(url, batch);
+    batch.timer = setTimeout(() => flushLogSink(config, url), 1000);
+  }
+  batch.records.push(record);
+  if (batch.records.length >= config.log_sink_batch_size) flushLogSink(config, url);
+}
+
+/**
+ * Creates the logger for one request. Every record carries the fields of `sources` (read when the record is
+ * written, so a session can update its attempt number in place) and is printed as one JSON line, or as text with
+ * `log_format: "text"`. Debug output is enabled by `log_level: "debug"` or `debug_mode`, and sampled per request
+ * with `log_debug_sample_rate` so a kept request's stream logs stay complete.
+ * @param {object} config
+ * @param {object[]} [sources=[]] Field objects merged into every record, e.g. `{ request_id }`.
+ * @param {object} [options]
+ * @param {boolean} [options.sampled] Whether this request's debug records are kept.
+ * @param {Function} [options.waitUntil] Keeps log sink deliveries alive after the response (Workers `waitUntil`).
+ */
+function createLogger(config, sources = [], options = {}) {
+  const threshold = config.debug_mode ? LOG_LEVELS.debug : (LOG_LEVELS[config.log_level] ?? LOG_LEVELS.info);
+  const sampled = options.sampled ?? Math.random() < config.log_debug_sample_rate;
+
+  const emit = (level, args) => {
+    if (LOG_LEVELS[level] < threshold || (level === "debug" && !sampled)) return;
+    const ts = new Date().toISOString();
+    const fields = Object.assign({}, ...sources);
+    const msg = redactSecrets(args.map(arg => formatLogArg(config, arg)).join(" "));
+    const record = { ts, level, ...fields, msg };
+    const write = LOG_LEVELS[level] >= LOG_LEVELS.warn ? console.error : console.log;
+    if (config.log_format === "text") {
+      const tag = fields.request_id ? ` ${fields.request_id}${fields.attempt !== undefined ? `#${fields.attempt}` : ""}` : "";
+      write(`[${level.toUpperCase()} ${ts}${tag}] ${msg}`);
+    } else {
+      write(JSON.stringify(record));
+    }
+    if (config.log_sink_url) shipLogRecord(config, record, options.waitUntil);
+  };
+
+  return {
+    debug: (...args) => emit("debug", args),
+    info: (...args) => emit("info", args),
+    warn: (...args) => emit("warn", args),
+    error: (...args) => emit("error", args),
+    /** Returns a logger that adds `fields` to every record; it shares this logger's sampling decision. */
+    child: (fields) => createLogger(config, [...sources, fields], { ...options, sampled }),
+  };
+}
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Returns the request's ID: the client's `X-Request-Id` when it is well-formed, otherwise a new UUID.
+ */
+function requestIdFor(request) {
+  const incoming = request.headers.get("x-request-id");
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Builds the per-request context threaded through the handlers: the environment, the resolved (immutable)
+ * configuration, the request's logger and its scope — the request ID, the labels its request metric is recorded
+ * with and the runtime's `waitUntil`, which outlive a re-resolution of the configuration for another model.
+ * `configForModel(model)` resolves the same request's configuration for another model, e.g. a fallback model.
+ */
+function createRequestContext(env, request, model, scope = { id: requestIdFor(request), metrics: { route: "unknown", model: model || "" } }) {
+  const config = resolveConfig(env, request, model);
+  const log = createLogger(config, [{ request_id: scope.id, attempt: 1 }], { waitUntil: scope.waitUntil });
+  return { env, config, log, scope, configForModel: (other) => resolveConfig(env, request, other) };
+}
+
+/**
+ * Returns the query string to forward upstream, without the proxy's own `antiblock_*` parameters.
+ */
+function upstreamSearch(urlObj) {
+  const params = new URLSearchParams(urlObj.search);
+  for (const key of [...params.keys()]) if (key.startsWith("antiblock_")) params.delete(key);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+
+
+// Statuses that end a session when a retry request returns them. 429 is retried with backoff (honoring Retry-After).
+const NON_RETRYABLE_STATUSES = new Set([400, 401, 403, 404]);
+
+// Built-in per-reason retry policies; RETRY_POLICIES entries are layered on top of these.
+const DEFAULT_RETRY_POLICIES = {
+  RATE_LIMITED: { max_retries: 5, base_delay_ms: 2000 },
+};
+// Statuses that put a pooled upstream key on cooldown and move the request to the next key.
+const KEY_FAILOVER_STATUSES = new Set([403, 429]);
 
 
-const logDebug = (...args) => { if (CONFIG.debug_mode) console.log(`[DEBUG ${new Date().toISOString()}]`, ...args); };
-const logInfo  = (...args) => console.log(`[INFO ${new Date().toISOString()}]`, ...args);
-const logError = (...args) => console.error(`[ERROR ${new Date().toISOString()}]`, ...args);
 
 const handleOPTIONS = () => new Response(null, {
   headers: {
     "Access-Control-Allow-Origin": "*",
     "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Goog-Api-Key",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Goog-Api-Key, X-Antiblock-Sentinel, X-Antiblock-Max-Retries, X-Antiblock-Retry-Delay-Ms, X-Antiblock-Swallow-Thoughts, X-Antiblock-Continuation-Prompt, X-Antiblock-Events, X-Antiblock-Simulate, X-Antiblock-Cache, Idempotency-Key, X-Request-Id",
   },
 });
 
@@ -67,23 +655,608 @@ function statusToGoogleStatus(code) {
   return "UNKNOWN";
 }
 
-function buildUpstreamHeaders(reqHeaders) {
-  const h = new Headers();
-  const copy = (k) => { const v = reqHeaders.get(k); if (v) h.set(k, v); };
-  copy("authorization");
-  copy("x-goog-api-key");
-  copy("content-type");
-  copy("accept");
-  return h;
+function buildUpstreamHeaders(reqHeaders) {
+  const h = new Headers();
+  const copy = (k) => { const v = reqHeaders.get(k); if (v) h.set(k, v); };
+  copy("authorization");
+  copy("x-goog-api-key");
+  copy("content-type");
+  copy("accept");
+  return h;
+}
+
+/**
+ * Resolves the retry policy for an interruption reason. Fields missing from the reason's entry in RETRY_POLICIES
+ * fall back to the built-in default for that reason and then to the global RETRY_* settings.
+ * @param {string} reason The interruption reason, e.g. "DROP" or "FETCH_ERROR".
+ * @returns {{max_retries: number, base_delay_ms: number, max_delay_ms: number, multiplier: number, jitter: string}}
+ */
+function retryPolicyFor(config, reason) {
+  const policy = { ...DEFAULT_RETRY_POLICIES[reason], ...config.retry_policies[reason] };
+  return {
+    max_retries: policy.max_retries ?? Infinity,
+    base_delay_ms: policy.base_delay_ms ?? config.retry_delay_ms,
+    max_delay_ms: policy.max_delay_ms ?? config.retry_max_delay_ms,
+    multiplier: policy.multiplier ?? config.retry_backoff_multiplier,
+    jitter: policy.jitter ?? config.retry_jitter,
+  };
+}
+
+/**
+ * Exponential backoff, capped at the policy's max delay. With "full" jitter the delay is drawn uniformly
+ * from [0, capped delay].
+ * @param {object} policy A policy from `retryPolicyFor`.
+ * @param {number} attempt The 1-based number of interruptions with this reason so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function computeBackoffMs(policy, attempt) {
+  const capped = Math.min(policy.max_delay_ms, policy.base_delay_ms * Math.pow(policy.multiplier, Math.max(0, attempt - 1)));
+  return policy.jitter === "full" ? Math.random() * capped : capped;
+}
+
+/**
+ * Parses a `Retry-After` header value (delay-seconds or HTTP-date).
+ * @param {string|null} value The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or unparseable.
+ */
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Per-isolate cooldown bookkeeping for pooled upstream keys, keyed by the key itself.
+const keyPoolState = { cursor: 0, keys: new Map() };
+
+const maskKey = (key) => `…${key.slice(-4)}`;
+
+function keyStateOf(key) {
+  let state = keyPoolState.keys.get(key);
+  if (!state) {
+    state = { cooldownUntil: 0, lastLimitedAt: 0, lastUsedAt: 0 };
+    keyPoolState.keys.set(key, state);
+  }
+  return state;
+}
+
+/**
+ * Picks the next pooled upstream key, skipping keys already tried for this request and keys on cooldown.
+ * If every remaining key is cooling down, the one that becomes available first is returned anyway.
+ * @param {object} config The resolved configuration of the request.
+ * @param {string[]} pool The configured upstream keys.
+ * @param {Set<string>} tried Keys already used for this request.
+ * @returns {string|null} The selected key, or null if every key has been tried.
+ */
+function selectUpstreamKey(config, pool, tried) {
+  const now = Date.now();
+  const candidates = pool.filter(k => !tried.has(k));
+  if (!candidates.length) return null;
+  const available = candidates.filter(k => keyStateOf(k).cooldownUntil <= now);
+
+  if (!available.length) {
+    return candidates.reduce((a, b) => keyStateOf(a).cooldownUntil <= keyStateOf(b).cooldownUntil ? a : b);
+  }
+
+  if (config.key_selection_strategy === "least_recently_limited") {
+    return available.reduce((a, b) => {
+      const sa = keyStateOf(a), sb = keyStateOf(b);
+      if (sa.lastLimitedAt !== sb.lastLimitedAt) return sa.lastLimitedAt < sb.lastLimitedAt ? a : b;
+      return sa.lastUsedAt <= sb.lastUsedAt ? a : b;
+    });
+  }
+
+  for (let i = 0; i < pool.length; i++) {
+    const key = pool[(keyPoolState.cursor + i) % pool.length];
+    if (available.includes(key)) {
+      keyPoolState.cursor = (keyPoolState.cursor + i + 1) % pool.length;
+      return key;
+    }
+  }
+  return available[0];
+}
+
+function markKeyLimited(ctx, key, response) {
+  const { config, log } = ctx;
+  const state = keyStateOf(key);
+  const retryAfterMs = parseRetryAfterMs(response.headers.get("Retry-After"));
+  const cooldownMs = retryAfterMs ?? config.key_cooldown_ms;
+  state.lastLimitedAt = Date.now();
+  state.cooldownUntil = state.lastLimitedAt + cooldownMs;
+  log.error(`Upstream key ${maskKey(key)} returned ${response.status}; cooling down for ${cooldownMs}ms`);
+}
+
+// --- Vertex AI Upstream (UPSTREAM_MODE=vertex) ---
+
+const VERTEX_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+const DEFAULT_TOKEN_URL = "https://oauth2.googleapis.com/token";
+// Access tokens are renewed this long before they expire, so a long streaming session never starts a retry with a stale one.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Cached access tokens, per service account and token endpoint: { token, expiresAt, pending }.
+const vertexTokenState = new Map();
+
+const base64UrlEncode = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const base64UrlEncodeJson = (obj) => base64UrlEncode(new TextEncoder().encode(JSON.stringify(obj)));
+
+async function importServiceAccountKey(pem) {
+  const base64 = pem.replace(/-----(BEGIN|END) PRIVATE KEY-----/g, "").replace(/\s+/g, "");
+  const der = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return crypto.subtle.importKey("pkcs8", der, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["sign"]);
+}
+
+/**
+ * Exchanges a JWT signed with the service account's private key for an OAuth access token (RFC 7523).
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ */
+async function mintVertexAccessToken(serviceAccount, tokenUrl) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "JWT", ...(serviceAccount.private_key_id ? { kid: serviceAccount.private_key_id } : {}) };
+  const claims = { iss: serviceAccount.client_email, scope: VERTEX_SCOPE, aud: tokenUrl, iat: now, exp: now + 3600 };
+  const unsigned = `${base64UrlEncodeJson(header)}.${base64UrlEncodeJson(claims)}`;
+  const key = await importServiceAccountKey(serviceAccount.private_key);
+  const signature = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", key, new TextEncoder().encode(unsigned));
+
+  const response = await fetch(tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion: `${unsigned}.${base64UrlEncode(signature)}` })
+  });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`token endpoint answered ${response.status}: ${text.slice(0, 200)}`);
+  const { access_token, expires_in } = JSON.parse(text);
+  if (!access_token) throw new Error("token endpoint returned no access_token");
+  return { token: access_token, expiresAt: Date.now() + (Number(expires_in) || 3600) * 1000 };
+}
+
+/**
+ * Returns a cached access token for VERTEX_SERVICE_ACCOUNT, minting a new one when it is missing, about to
+ * expire or `forceRefresh` is set. Concurrent requests share one token exchange.
+ */
+async function vertexAccessToken(ctx, forceRefresh = false) {
+  const { config, log } = ctx;
+  const serviceAccount = config.vertex_service_account;
+  if (!serviceAccount?.client_email || !serviceAccount?.private_key) {
+    throw new Error("VERTEX_SERVICE_ACCOUNT must be a service-account JSON key with client_email and private_key");
+  }
+  const tokenUrl = config.vertex_token_url || serviceAccount.token_uri || DEFAULT_TOKEN_URL;
+  const cacheKey = `${serviceAccount.client_email} ${tokenUrl}`;
+  let state = vertexTokenState.get(cacheKey);
+  if (!state) {
+    state = { token: null, expiresAt: 0, pending: null };
+    vertexTokenState.set(cacheKey, state);
+  }
+  if (!forceRefresh && state.token && state.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) return state.token;
+
+  if (!state.pending) {
+    log.info(`Minting a Vertex AI access token for ${serviceAccount.client_email} at ${tokenUrl}`);
+    state.pending = mintVertexAccessToken(serviceAccount, tokenUrl)
+      .then(({ token, expiresAt }) => {
+        state.token = token;
+        state.expiresAt = expiresAt;
+        return token;
+      })
+      .finally(() => { state.pending = null; });
+  }
+  return state.pending;
+}
+
+const GEMINI_MODEL_METHOD_PATH = /^\/v1(?:alpha|beta)?\d*\/models\/([^/:]+):([A-Za-z]+)$/;
+const GEMINI_MODEL_LIST_PATH = /^\/v1(?:alpha|beta)?\d*\/models\/?$/;
+
+/**
+ * Maps a Gemini API URL to its Vertex AI equivalent: `/v1beta/models/{model}:{method}` becomes
+ * `/v1/projects/{project}/locations/{location}/publishers/google/models/{model}:{method}`, and the model list
+ * becomes the list of Google's publisher models. Returns null for paths Vertex AI has no equivalent for.
+ */
+function vertexUrlFor(config, upstreamUrl) {
+  const url = new URL(upstreamUrl);
+  const location = config.vertex_location;
+  const base = config.vertex_url_base || (location === "global" ? "https://aiplatform.googleapis.com" : `https://${location}-aiplatform.googleapis.com`);
+  url.searchParams.delete("key");
+  const search = url.searchParams.toString() ? `?${url.searchParams}` : "";
+  const method = GEMINI_MODEL_METHOD_PATH.exec(url.pathname);
+  if (method) {
+    return `${base}/v1/projects/${config.vertex_project}/locations/${location}/publishers/google/models/${method[1]}:${method[2]}${search}`;
+  }
+  if (GEMINI_MODEL_LIST_PATH.test(url.pathname)) return `${base}/v1beta1/publishers/google/models${search}`;
+  return null;
+}
+
+// Vertex AI requires a role on every content; the Gemini API assumes "user" when it is missing.
+function vertexRequestBody(body) {
+  if (body === undefined) return undefined;
+  try {
+    const parsed = JSON.parse(typeof body === "string" ? body : new TextDecoder().decode(body));
+    if (Array.isArray(parsed.contents)) parsed.contents = parsed.contents.map(c => (c.role ? c : { ...c, role: "user" }));
+    return JSON.stringify(parsed);
+  } catch (_) {
+    return body;
+  }
+}
+
+/**
+ * Sends a Gemini API request to Vertex AI with a service-account access token instead of the caller's
+ * credentials. A 401 is retried once with a freshly minted token; the model list is converted to the Gemini
+ * API format.
+ */
+async function fetchVertex(ctx, upstreamUrl, { method, body, signal }, clientHeaders) {
+  const { config, log } = ctx;
+  const url = vertexUrlFor(config, upstreamUrl);
+  if (!url) return jsonError(404, `${new URL(upstreamUrl).pathname} has no Vertex AI equivalent.`);
+  if (!config.vertex_project) return jsonError(500, "VERTEX_PROJECT is not configured.");
+
+  const headers = buildUpstreamHeaders(clientHeaders);
+  headers.delete("x-goog-api-key");
+  const payload = vertexRequestBody(body);
+  let response;
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      headers.set("authorization", `Bearer ${await vertexAccessToken(ctx, attempt > 1)}`);
+    } catch (e) {
+      log.error(`Could not obtain a Vertex AI access token: ${e.message}`);
+      return jsonError(502, `Could not obtain a Vertex AI access token: ${e.message}`);
+    }
+    response = await fetch(url, { method, headers, body: payload, signal });
+    if (response.status !== 401 || attempt > 1) break;
+    log.info("Vertex AI rejected the access token - minting a new one");
+    response.body?.cancel().catch(() => {});
+  }
+
+  if (!response.ok || !GEMINI_MODEL_LIST_PATH.test(new URL(upstreamUrl).pathname)) return response;
+  const { publisherModels = [], nextPageToken } = await response.json();
+  const models = publisherModels
+    .map(m => m.name.split("/").pop())
+    .filter(name => name.startsWith("gemini"))
+    .map(name => ({ name: `models/${name}`, supportedGenerationMethods: ["generateContent", "streamGenerateContent", "countTokens"] }));
+  return new Response(JSON.stringify({ models, ...(nextPageToken ? { nextPageToken } : {}) }), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8" }
+  });
+}
+
+// --- Upstream Simulator (UPSTREAM_SIMULATOR or a `simulator:` UPSTREAM_URL_BASE) ---
+
+const SIMULATOR_DEFAULT_TEXT = "This answer comes from the built-in upstream simulator. It is long enough to be streamed in several chunks, " +
+  "so that faults can be injected in the middle of it. Every retry continues from the text the proxy sent back, " +
+  "which makes the stitched answer read as one piece. This sentence ends the simulated answer.";
+
+const isSimulatedUpstream = (config) => config.upstream_simulator || config.upstream_url_base.startsWith("simulator:");
+
+/**
+ * Splits a simulator script such as `"drop:40, 429:2, ok"` into steps. Each upstream call of a request takes the
+ * next step, and the last one repeats.
+ */
+function parseSimulatorScript(script) {
+  return String(script).split(/[\s,]+/).filter(Boolean).map(step => {
+    const [fault, arg] = step.split(":");
+    return { fault: fault.toLowerCase(), arg: arg ?? null };
+  });
+}
+
+const simulatorError = (status, message, headers = {}) => new Response(
+  JSON.stringify({ error: { code: status, message, status: statusToGoogleStatus(status) } }),
+  { status, headers: { "Content-Type": "application/json; charset=utf-8", ...headers } }
+);
+
+const simulatedChunk = (parts, extra = {}) => ({ candidates: [{ content: { role: "model", parts }, ...extra, index: 0 }] });
+
+function simulatedTextChunks(text, size) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(simulatedChunk([{ text: text.slice(i, i + size) }]));
+  return chunks;
+}
+
+// How each scripted fault streams the rest of the answer: the frames to send (objects, or `{ raw }` lines sent
+// as-is) and whether the stream then closes or stays open.
+const SIMULATOR_FAULTS = {
+  ok: ({ text, sentinel, finish }) => ({ frames: finish(text + (sentinel ? ` ${sentinel}` : "")), end: "close" }),
+  no_sentinel: ({ text, finish }) => ({ frames: finish(text), end: "close" }),
+  drop: ({ text, cut, chunks }) => ({ frames: chunks(text.slice(0, cut)), end: "close" }),
+  stall: ({ text, cut, chunks }) => ({ frames: chunks(text.slice(0, cut)), end: "open" }),
+  block: ({ arg }) => ({ frames: [{ promptFeedback: { blockReason: arg || "SAFETY" } }], end: "close" }),
+  safety: ({ text, cut, arg, chunks }) => ({
+    frames: [...chunks(text.slice(0, cut)), simulatedChunk([], { finishReason: arg || "SAFETY" })],
+    end: "close"
+  }),
+  thought_finish: () => ({
+    frames: [
+      simulatedChunk([{ text: "Working out the rest of the answer.", thought: true }]),
+      simulatedChunk([{ text: " Still thinking.", thought: true }], { finishReason: "STOP" })
+    ],
+    end: "close"
+  }),
+  malformed: ({ text, cut, sentinel, chunks, finish }) => ({
+    frames: [...chunks(text.slice(0, cut)), { raw: '{"candidates": [{"content": ]}' }, ...finish(text.slice(cut) + (sentinel ? ` ${sentinel}` : ""))],
+    end: "close"
+  }),
+};
+
+/**
+ * Answers an upstream request the way the Gemini API would, with the fault the request's simulator script
+ * (SIMULATOR_SCRIPT, or `X-Antiblock-Simulate` per request) prescribes for this call: `ok`, `no_sentinel`,
+ * `drop[:chars]`, `stall[:chars]`, `block[:reason]`, `safety[:finishReason]`, `thought_finish`, `malformed[:chars]`,
+ * `hang` (no response at all) or an HTTP status such as `503` or `429[:retryAfterSeconds]`.
+ * A retry continues the simulated answer from the text in its last model turn, and the answer ends with the
+ * completion sentinel when the request's system instruction asks for it.
+ */
+async function simulateUpstream(ctx, upstreamUrl, { method, body, signal }) {
+  const { config, log } = ctx;
+  const url = new URL(upstreamUrl);
+  if (method === "GET" && /\/models$/.test(url.pathname)) {
+    return new Response(JSON.stringify({
+      models: [{ name: "models/gemini-simulator", displayName: "Upstream simulator", supportedGenerationMethods: ["generateContent", "streamGenerateContent"] }]
+    }), { status: 200, headers: { "Content-Type": "application/json; charset=utf-8" } });
+  }
+  if (!url.pathname.endsWith(":streamGenerateContent")) {
+    return simulatorError(404, `The upstream simulator does not implement ${method} ${url.pathname}.`);
+  }
+
+  const steps = parseSimulatorScript(config.simulator_script);
+  const state = (ctx.scope.simulator ??= { calls: 0 });
+  const { fault, arg } = steps.length ? steps[Math.min(state.calls, steps.length - 1)] : { fault: "ok", arg: null };
+  state.calls++;
+  log.info(`Upstream simulator: call ${state.calls}, fault '${fault}${arg !== null ? `:${arg}` : ""}'`);
+
+  if (/^\d{3}$/.test(fault)) {
+    const status = parseInt(fault);
+    const retryAfter = arg ?? (status === 429 ? "1" : null);
+    return simulatorError(status, `Simulated upstream error ${status}.`, retryAfter !== null ? { "Retry-After": retryAfter } : {});
+  }
+  if (fault === "hang") {
+    return new Promise((_, reject) => signal?.addEventListener("abort", () => reject(signal.reason), { once: true }));
+  }
+  if (!SIMULATOR_FAULTS[fault]) return simulatorError(400, `Unknown simulator fault '${fault}'.`);
+
+  const request = JSON.parse(body);
+  const answer = config.simulator_text || SIMULATOR_DEFAULT_TEXT;
+  const modelTurns = (request.contents || []).filter(c => c.role === "model");
+  const previous = (modelTurns[modelTurns.length - 1]?.parts || []).filter(p => !p.thought).map(p => p.text || "").join("");
+  const text = previous && answer.startsWith(previous) ? answer.slice(previous.length) : answer;
+  const systemText = (request.systemInstruction?.parts || []).map(p => p.text || "").join("\n");
+  const sentinel = config.completion_sentinel && systemText.includes(config.completion_sentinel) ? config.completion_sentinel : "";
+
+  const chunks = (t) => simulatedTextChunks(t, Math.max(1, config.simulator_chunk_chars));
+  const finish = (t) => {
+    const frames = chunks(t);
+    const last = frames.pop() || simulatedChunk([]);
+    last.candidates[0].finishReason = "STOP";
+    const candidatesTokenCount = Math.ceil(t.length / 4);
+    const promptTokenCount = Math.ceil(body.length / 4);
+    last.usageMetadata = { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+    return [...frames, last];
+  };
+  const cut = arg !== null && /^\d+$/.test(arg) ? Math.min(parseInt(arg), text.length) : Math.ceil(text.length / 2);
+  const script = SIMULATOR_FAULTS[fault]({ text, cut, arg, sentinel, chunks, finish });
+  if (request.generationConfig?.thinkingConfig?.includeThoughts && fault !== "thought_finish" && fault !== "block") {
+    script.frames.unshift(simulatedChunk([{ text: "Planning the simulated answer.", thought: true }]));
+  }
+
+  // The same `alt` switch as the real API: SSE with alt=sse, a chunked JSON array otherwise.
+  const sse = url.searchParams.get("alt") === "sse";
+  const frames = script.frames.map(frame => frame.raw ?? JSON.stringify(frame));
+  const encoder = new TextEncoder();
+  let index = 0;
+  const stream = new ReadableStream({
+    start(controller) {
+      signal?.addEventListener("abort", () => { try { controller.error(signal.reason); } catch (_) {} }, { once: true });
+    },
+    async pull(controller) {
+      if (index > 0) await sleep(config.simulator_chunk_delay_ms, signal);
+      if (signal?.aborted) return;
+      if (index < frames.length) {
+        const frame = frames[index];
+        controller.enqueue(encoder.encode(sse ? `data: ${frame}\r\n\r\n` : `${index === 0 ? "[" : ",\r\n"}${frame}`));
+        index++;
+      } else if (script.end === "close") {
+        // A dropped connection ends without closing the JSON array.
+        if (!sse && fault !== "drop") controller.enqueue(encoder.encode(frames.length ? "]" : "[]"));
+        controller.close();
+      } else {
+        return new Promise(() => {});
+      }
+    },
+  });
+  return new Response(stream, {
+    status: 200,
+    headers: { "Content-Type": sse ? "text/event-stream" : "application/json; charset=UTF-8" }
+  });
+}
+
+/**
+ * Sends a request upstream. Without a key pool the caller's credentials are forwarded as-is. With a pool,
+ * a pooled key replaces them, and a 429/403 puts that key on cooldown and moves the request to the next key.
+ * In Vertex AI mode the request goes to Vertex AI with the service account's token instead (see `fetchVertex`).
+ * @param {string} upstreamUrl The upstream URL.
+ * @param {{method?: string, body?: BodyInit, signal?: AbortSignal}} init The request method, body (must be re-sendable) and abort signal.
+ * @param {Headers} clientHeaders The client headers upstream headers are derived from.
+ * @returns {Promise<Response>} The first response that is not a key failover, or the last one if every key failed.
+ */
+async function fetchUpstream(ctx, upstreamUrl, { method = "POST", body, signal } = {}, clientHeaders) {
+  const { config, log } = ctx;
+  const headers = buildUpstreamHeaders(clientHeaders);
+  // A session replay answers from the recording instead of calling upstream.
+  if (ctx.replayUpstream) return ctx.replayUpstream(upstreamUrl, { body, signal });
+  if (isSimulatedUpstream(config)) return simulateUpstream(ctx, upstreamUrl, { method, body, signal });
+  if (config.upstream_mode === "vertex") return fetchVertex(ctx, upstreamUrl, { method, body, signal }, clientHeaders);
+  const pool = config.upstream_api_keys;
+  if (!pool.length) return fetch(upstreamUrl, { method, headers, body, signal });
+
+  // The client's credentials are proxy tokens in pool mode and must never reach upstream.
+  const url = new URL(upstreamUrl);
+  url.searchParams.delete("key");
+  headers.delete("authorization");
+
+  const tried = new Set();
+  while (true) {
+    const key = selectUpstreamKey(config, pool, tried);
+    tried.add(key);
+    keyStateOf(key).lastUsedAt = Date.now();
+    headers.set("x-goog-api-key", key);
+
+    const response = await fetch(url.toString(), { method, headers, body, signal });
+    if (!KEY_FAILOVER_STATUSES.has(response.status)) return response;
+
+    markKeyLimited(ctx, key, response);
+    if (tried.size >= pool.length) {
+      log.error(`All ${pool.length} pooled upstream keys failed for this request`);
+      return response;
+    }
+    log.info(`Failing over to the next pooled upstream key (${tried.size}/${pool.length} tried)`);
+    response.body?.cancel().catch(() => {});
+  }
+}
+
+function timingSafeEqualStrings(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Metrics served on /metrics, with their Prometheus type, help text and histogram buckets.
+const METRIC_DEFINITIONS = {
+  antiblock_requests_total: { type: "counter", help: "Requests handled, by route, model and response status." },
+  antiblock_sessions_total: { type: "counter", help: "Streaming sessions run by the retry engine, by model and outcome." },
+  antiblock_interruptions_total: { type: "counter", help: "Upstream stream interruptions, by model and reason." },
+  antiblock_swallowed_thought_chunks_total: { type: "counter", help: "Thought chunks swallowed after a retry, by model." },
+  antiblock_response_cache_total: { type: "counter", help: "Cacheable requests, by model and result (hit, attached or miss)." },
+  antiblock_session_retries: {
+    type: "histogram", help: "Retries needed per streaming session.", buckets: [0, 1, 2, 3, 5, 10, 20, 50, 100],
+  },
+  antiblock_time_to_first_byte_seconds: {
+    type: "histogram", help: "Time until upstream answered the initial request.", buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  },
+  antiblock_session_duration_seconds: {
+    type: "histogram", help: "Duration of streaming sessions, retries included.", buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800],
+  },
+  antiblock_session_accumulated_chars: {
+    type: "histogram", help: "Characters of text forwarded per streaming session.", buckets: [0, 100, 1000, 5000, 10000, 50000, 100000, 500000],
+  },
+};
+
+/**
+ * Creates an in-memory metrics registry rendered in the Prometheus text format. Values live as long as the
+ * worker instance (or Node process) that collected them.
+ */
+function createMetricsRegistry() {
+  const series = new Map(); // metric name -> Map(label string -> value)
+  // Model names come from client requests. Only the first MODEL_LABEL_LIMIT distinct, well-formed names get their
+  // own series; every other name is counted as `other`, so the registry stays bounded whatever clients send.
+  const MODEL_LABEL_LIMIT = 100;
+  const modelLabels = new Set();
+  const modelLabel = (model) => {
+    if (!model || modelLabels.has(model)) return model;
+    if (modelLabels.size >= MODEL_LABEL_LIMIT || !/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(model)) return "other";
+    modelLabels.add(model);
+    return model;
+  };
+  const escapeLabel = (value) => String(value).slice(0, 120).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const labelString = (labels) => Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",");
+  const entry = (name, labels, init) => {
+    if (!series.has(name)) series.set(name, new Map());
+    const byLabels = series.get(name);
+    const key = labelString("model" in labels ? { ...labels, model: modelLabel(labels.model) } : labels);
+    if (!byLabels.has(key)) byLabels.set(key, init());
+    return byLabels.get(key);
+  };
+  const withLabels = (name, key, extra = "") => {
+    const all = [key, extra].filter(Boolean).join(",");
+    return all ? `${name}{${all}}` : name;
+  };
+
+  return {
+    inc(name, labels = {}, value = 1) {
+      entry(name, labels, () => ({ value: 0 })).value += value;
+    },
+    observe(name, labels, value) {
+      const { buckets } = METRIC_DEFINITIONS[name];
+      const histogram = entry(name, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bucket, i) => { if (value <= bucket) histogram.counts[i]++; });
+      histogram.sum += value;
+      histogram.count++;
+    },
+    render() {
+      const lines = [];
+      for (const [name, def] of Object.entries(METRIC_DEFINITIONS)) {
+        lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+        for (const [key, value] of series.get(name) || []) {
+          if (def.type === "counter") {
+            lines.push(`${withLabels(name, key)} ${value.value}`);
+            continue;
+          }
+          def.buckets.forEach((bucket, i) => lines.push(`${withLabels(`${name}_bucket`, key, `le="${bucket}"`)} ${value.counts[i]}`));
+          lines.push(`${withLabels(`${name}_bucket`, key, 'le="+Inf"')} ${value.count}`);
+          lines.push(`${withLabels(`${name}_sum`, key)} ${value.sum}`);
+          lines.push(`${withLabels(`${name}_count`, key)} ${value.count}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+const metricsRegistry = createMetricsRegistry();
+
+/**
+ * Serves the metrics in the Prometheus text format. When METRICS_TOKEN is set, the scraper must send it as
+ * `Authorization: Bearer <token>`.
+ */
+function handleMetrics(ctx, request) {
+  const { config, log } = ctx;
+  if (config.metrics_token) {
+    const token = (request.headers.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+    if (!timingSafeEqualStrings(token, config.metrics_token)) {
+      log.error("Rejected /metrics request without a valid metrics token");
+      return jsonError(401, "A valid metrics token is required.");
+    }
+  }
+  return new Response(metricsRegistry.render(), {
+    status: 200,
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
+
+/**
+ * Returns the key or token the client sent wherever a Gemini key would go: `x-goog-api-key`, `Authorization: Bearer`
+ * or the `key` query parameter.
+ */
+function presentedCredential(request) {
+  const auth = request.headers.get("authorization") || "";
+  return request.headers.get("x-goog-api-key")
+    || (/^bearer\s+/i.test(auth) ? auth.replace(/^bearer\s+/i, "").trim() : "")
+    || new URL(request.url).searchParams.get("key")
+    || "";
+}
+
+/**
+ * In key-pool and Vertex AI modes, clients authenticate with proxy-issued tokens (sent wherever a Gemini key would go:
+ * `x-goog-api-key`, `Authorization: Bearer` or the `key` query parameter) instead of real Gemini keys.
+ * @param {Request} request The client request.
+ * @returns {Response|null} A 401 response if the request is not authorized, otherwise null.
+ */
+function authenticateClient(ctx, request) {
+  const { config, log } = ctx;
+  if (!config.upstream_api_keys.length && config.upstream_mode !== "vertex") return null;
+  if (!config.proxy_auth_tokens.length) {
+    log.error(`${config.upstream_mode === "vertex" ? "UPSTREAM_MODE is vertex" : "UPSTREAM_API_KEYS is set"} but PROXY_AUTH_TOKENS is empty; rejecting request`);
+    return jsonError(401, "Proxy authentication is not configured.");
+  }
+  const presented = presentedCredential(request);
+  if (presented && config.proxy_auth_tokens.some(t => timingSafeEqualStrings(t, presented))) return null;
+  log.error("Rejected request with missing or unknown proxy token");
+  return jsonError(401, "Invalid or missing proxy token.");
 }
 
-async function standardizeInitialError(initialResponse) {
+async function standardizeInitialError(ctx, initialResponse) {
+  const { log } = ctx;
   let upstreamText = "";
   try {
     upstreamText = await initialResponse.clone().text();
-    logError(`Upstream error body (truncated): ${upstreamText.length > 2000 ? upstreamText.slice(0, 2000) + "..." : upstreamText}`);
+    log.error(`Upstream error body (truncated): ${upstreamText.length > 2000 ? upstreamText.slice(0, 2000) + "..." : upstreamText}`);
   } catch (e) {
-    logError(`Failed to read upstream error text: ${e.message}`);
+    log.error(`Failed to read upstream error text: ${e.message}`);
   }
 
   let standardized = null;
@@ -125,10 +1298,159 @@ async function standardizeInitialError(initialResponse) {
   });
 }
 
-// helper: write one SSE error event based on upstream error response (used when retry hits non-retryable status)
 const SSE_ENCODER = new TextEncoder();
-async function writeSSEErrorFromUpstream(writer, upstreamResp) {
-  const std = await standardizeInitialError(upstreamResp);
+
+/**
+ * Wraps the client-side writer so the engine can emit chunks without caring about the wire format the client
+ * asked for: SSE (`alt=sse`) or the chunked JSON array `streamGenerateContent` returns by default.
+ * @param {WritableStreamDefaultWriter} writer The client-side writer.
+ * @param {"sse"|"json"} format The client's stream format.
+ * @param {(e: Error) => void} [onWriteError] Called when a write fails, i.e. the client has gone away.
+ * @param {(kind: "data"|"error", json: string) => void} [onItem] Called with every data or error payload written.
+ */
+function createStreamEmitter(writer, format, onWriteError = () => {}, onItem = () => {}) {
+  let elements = 0;
+  let lastWriteAt = Date.now();
+  const write = (text) => {
+    lastWriteAt = Date.now();
+    return writer.write(SSE_ENCODER.encode(text)).catch(e => { onWriteError(e); throw e; });
+  };
+  const writeElement = (jsonStr) => write((elements++ === 0 ? "[" : ",\r\n") + jsonStr);
+  return {
+    format,
+    /** Forwards an upstream line unchanged (SSE), or its payload as an array element (JSON). */
+    writeLine(line) {
+      if (isDataLine(line)) onItem("data", line.slice(6));
+      if (format === "sse") return write(line + "\n\n");
+      return isDataLine(line) ? writeElement(line.slice(6)) : Promise.resolve();
+    },
+    writeData(obj) {
+      const json = JSON.stringify(obj);
+      onItem("data", json);
+      if (format === "sse") return write(`data: ${json}\n\n`);
+      return writeElement(json);
+    },
+    writeError(payload) {
+      const json = JSON.stringify(payload);
+      onItem("error", json);
+      if (format === "sse") return write(`event: error\ndata: ${json}\n\n`);
+      return writeElement(json);
+    },
+    /** Writes a named SSE event; the JSON array format has no room for one, so nothing is written there. */
+    writeEvent(name, payload) {
+      if (format === "sse") return write(`event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+      return Promise.resolve();
+    },
+    /** Writes an SSE comment line, which clients ignore (SSE only). */
+    writeComment(text) {
+      if (format === "sse") return write(`: ${text}\n\n`);
+      return Promise.resolve();
+    },
+    /** Milliseconds since anything was last written. */
+    idleMs: () => Date.now() - lastWriteAt,
+    async close() {
+      if (format === "json") await write(elements === 0 ? "[]" : "]");
+      return writer.close();
+    },
+  };
+}
+
+/**
+ * Wraps the client-side writer so that once the client has gone away, writes are dropped instead of failing and
+ * the session can carry on without it.
+ * @param {WritableStreamDefaultWriter} writer The client-side writer.
+ * @param {() => void} onGone Called once, when the client has gone away.
+ */
+function detachableWriter(writer, onGone) {
+  let gone = false;
+  const leave = () => {
+    if (gone) return;
+    gone = true;
+    onGone();
+  };
+  writer.closed.catch(leave);
+  return {
+    write: (chunk) => gone ? Promise.resolve() : writer.write(chunk).catch(leave),
+    close: () => writer.close().catch(() => {}),
+    abort: (reason) => writer.abort(reason).catch(() => {}),
+    get closed() { return writer.closed; },
+  };
+}
+
+const stallError = (message) => Object.assign(new Error(message), { code: "STALL" });
+
+/**
+ * Wraps an upstream reader so that a read fails with a STALL error (and the reader is cancelled) when the
+ * watchdog's current allowance runs out before upstream delivers more bytes.
+ * @param {ReadableStreamDefaultReader} reader The upstream body reader.
+ * @param {() => {at: number, label: string}|null} nextDeadline Returns the moment the stream counts as stalled and
+ *   which limit that is, or null when no limit applies.
+ * @param {() => void} onBytes Called whenever bytes arrive.
+ */
+function withStallWatchdog(reader, nextDeadline, onBytes) {
+  return {
+    async read() {
+      const deadline = nextDeadline();
+      let timer;
+      const stalled = deadline && new Promise((_, reject) => {
+        timer = setTimeout(() => reject(stallError(`No upstream data within the ${deadline.label} timeout`)), Math.max(0, deadline.at - Date.now()));
+      });
+      try {
+        const result = await (stalled ? Promise.race([reader.read(), stalled]) : reader.read());
+        if (!result.done) onBytes();
+        return result;
+      } catch (e) {
+        if (e.code === "STALL") reader.cancel(e).catch(() => {});
+        throw e;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel: (reason) => reader.cancel(reason),
+  };
+}
+
+/**
+ * Waits for `ms` milliseconds, resolving early if the signal aborts.
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done);
+  });
+}
+
+/**
+ * Derives a signal that aborts when `parent` aborts or when `ms` elapses (no timeout when `ms` is Infinity).
+ * @returns {{signal: AbortSignal, abort: (reason: any) => void, clear: () => void}} The derived signal, a function aborting
+ *   it directly, and a function releasing its timer and listener.
+ */
+function deriveSignal(parent, ms) {
+  const controller = new AbortController();
+  const abort = (reason) => { if (!controller.signal.aborted) controller.abort(reason); };
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) controller.abort(parent.reason);
+  else parent?.addEventListener("abort", onAbort);
+  const timer = Number.isFinite(ms) ? setTimeout(() => controller.abort(new Error("Session deadline exceeded")), Math.max(0, ms)) : null;
+  return {
+    signal: controller.signal,
+    abort,
+    clear() {
+      if (timer) clearTimeout(timer);
+      parent?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+// helper: write one error event based on upstream error response (used when retry hits non-retryable status)
+async function writeErrorFromUpstream(ctx, emitter, upstreamResp) {
+  const std = await standardizeInitialError(ctx, upstreamResp);
   let text = await std.text();
   const ra = upstreamResp.headers.get("Retry-After");
   if (ra) {
@@ -138,18 +1460,20 @@ async function writeSSEErrorFromUpstream(writer, upstreamResp) {
       text = JSON.stringify(obj);
     } catch (_) {}
   }
-  await writer.write(SSE_ENCODER.encode(`event: error\ndata: ${text}\n\n`));
+  let payload;
+  try { payload = JSON.parse(text); } catch (_) { payload = { error: { code: upstreamResp.status, message: text, status: statusToGoogleStatus(upstreamResp.status) } }; }
+  await emitter.writeError(payload);
 }
 
-async function* sseLineIterator(reader) {
+async function* sseLineIterator(reader, log) {
   const decoder = new TextDecoder("utf-8");
   let buffer = "";
   let lineCount = 0;
-  logDebug("Starting SSE line iteration");
+  log.debug("Starting SSE line iteration");
   while (true) {
     const { value, done } = await reader.read();
     if (done) {
-      logDebug(`SSE stream ended. Total lines processed: ${lineCount}. Remaining buffer: "${buffer.trim()}"`);
+      log.debug(`SSE stream ended. Total lines processed: ${lineCount}. Remaining buffer:`, logContent(buffer.trim()));
       if (buffer.trim()) yield buffer;
       break;
     }
@@ -159,82 +1483,1124 @@ async function* sseLineIterator(reader) {
     for (const line of lines) {
       if (line.trim()) {
         lineCount++;
-        logDebug(`SSE Line ${lineCount}: ${line.length > 200 ? line.substring(0, 200) + "..." : line}`);
+        log.debug(`SSE Line ${lineCount}:`, logContent(line));
         yield line;
       }
     }
   }
 }
 
+/**
+ * Iterates over the objects of a chunked JSON array stream (`streamGenerateContent` without `alt=sse`), yielding each
+ * one as a compact `data: {...}` line so the rest of the engine can treat both upstream formats the same way.
+ * Objects are only yielded once complete, however they are split across network chunks.
+ * @param {ReadableStreamDefaultReader} reader The upstream body reader.
+ */
+async function* jsonArrayLineIterator(reader, log) {
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+  let objectCount = 0;
+  log.debug("Starting JSON array iteration");
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      log.debug(`JSON array stream ended. Total objects: ${objectCount}. Unterminated tail: ${start !== -1 ? buffer.length - start : 0} chars`);
+      break;
+    }
+    let i = buffer.length;
+    buffer += decoder.decode(value, { stream: true });
+    for (; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === "{") {
+        if (depth++ === 0) start = i;
+      } else if (ch === "}" && depth > 0 && --depth === 0) {
+        const raw = buffer.slice(start, i + 1);
+        objectCount++;
+        let compact = raw;
+        try { compact = JSON.stringify(JSON.parse(raw)); } catch (e) { log.debug(`Malformed JSON array element: ${e.message}`); }
+        log.debug(`JSON Object ${objectCount}:`, logContent(compact));
+        yield `data: ${compact.replace(/[\r\n]+/g, " ")}`;
+        start = -1;
+      }
+    }
+    // Drop everything that belongs to already yielded objects.
+    const keepFrom = start === -1 ? buffer.length : start;
+    buffer = buffer.slice(keepFrom);
+    if (start !== -1) start = 0;
+  }
+}
+
+/** Picks the line iterator for the upstream stream format. */
+const upstreamLineIterator = (reader, format, log) => format === "json" ? jsonArrayLineIterator(reader, log) : sseLineIterator(reader, log);
+
 const isDataLine = (line) => line.startsWith("data: ");
-const isBlockedLine = (line) => line.includes("blockReason");
 
-function extractFinishReason(line) {
+// Candidate finish reasons that mean the output was blocked, grouped by how they are recovered from.
+const BLOCK_FINISH_KINDS = {
+  SAFETY: "SAFETY",
+  BLOCKLIST: "SAFETY",
+  SPII: "SAFETY",
+  IMAGE_SAFETY: "SAFETY",
+  PROHIBITED_CONTENT: "PROHIBITED_CONTENT",
+  RECITATION: "RECITATION",
+};
+
+/**
+ * Classifies a parsed chunk as blocked: `promptFeedback.blockReason` means the prompt itself was rejected (kind
+ * `PROMPT`), a blocking candidate finish reason means the output was stopped (kind `SAFETY`, `PROHIBITED_CONTENT`
+ * or `RECITATION`). Text that merely mentions these names is not a block.
+ * @param {object|null} data The parsed chunk.
+ * @returns {{kind: string, reason: string, promptFeedback?: object}|null} The block kind and the upstream reason, or null.
+ */
+function extractBlock(data) {
+  const blockReason = data?.promptFeedback?.blockReason;
+  if (blockReason) return { kind: "PROMPT", reason: blockReason, promptFeedback: data.promptFeedback };
+  const finishReason = data?.candidates?.[0]?.finishReason;
+  if (finishReason && BLOCK_FINISH_KINDS[finishReason]) return { kind: BLOCK_FINISH_KINDS[finishReason], reason: finishReason };
+  return null;
+}
+
+function extractFinishReason(line, log) {
   if (!line.includes("finishReason")) return null;
   try {
     const i = line.indexOf("{");
     if (i === -1) return null;
     const data = JSON.parse(line.slice(i));
     const fr = data?.candidates?.[0]?.finishReason || null;
-    logDebug(`Extracted finishReason: ${fr}`);
+    log.debug(`Extracted finishReason: ${fr}`);
     return fr;
   } catch (e) {
-    logDebug(`Failed to extract finishReason from line: ${e.message}`);
+    log.debug(`Failed to extract finishReason from line: ${e.message}`);
     return null;
   }
 }
 
 /**
- * Parses a "data:" line from an SSE stream to extract text content and determine if it's a "thought" chunk.
+ * Parses a "data:" line from an SSE stream and extracts every part of the first candidate, in order.
  * @param {string} line The "data: " line from the SSE stream.
- * @returns {{text: string, isThought: boolean}} An object containing the extracted text and a boolean indicating if it's a thought.
+ * @returns {{data: object|null, parts: object[], text: string, isThought: boolean, hasFunctionCall: boolean, malformed: boolean}}
+ *   The parsed chunk, all its parts, the concatenated non-thought text, whether the chunk carries only thought parts,
+ *   whether it carries a function call, and whether the payload is not valid JSON.
  */
-function parseLineContent(line) {
+function parseLineContent(line, log) {
+  const empty = { data: null, parts: [], text: "", isThought: false, hasFunctionCall: false, malformed: false };
   try {
     const jsonStr = line.slice(line.indexOf('{'));
     const data = JSON.parse(jsonStr);
-    const part = data?.candidates?.[0]?.content?.parts?.[0];
-    if (!part) return { text: "", isThought: false };
+    const parts = data?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts) || parts.length === 0) return { ...empty, data };
+
+    const isThought = parts.every(p => p.thought === true);
+    const text = parts.filter(p => p.thought !== true && typeof p.text === "string").map(p => p.text).join("");
+    const hasFunctionCall = parts.some(p => p.functionCall);
 
-    const text = part.text || "";
-    const isThought = part.thought === true;
-    
     if (isThought) {
-        logDebug("Extracted thought chunk. This will be tracked.");
-    } else if (text) {
-        logDebug(`Extracted text chunk (${text.length} chars): ${text.length > 100 ? text.substring(0, 100) + "..." : text}`);
+        log.debug("Extracted thought chunk. This will be tracked.");
+    } else {
+        const kinds = parts.map(p => Object.keys(p).find(k => k !== "thought" && k !== "thoughtSignature") || "empty");
+        log.debug(`Extracted ${parts.length} part(s) [${kinds.join(", ")}], text ${text.length} chars:`, logContent(text, 100));
     }
 
-    return { text, isThought };
+    return { data, parts, text, isThought, hasFunctionCall, malformed: false };
   } catch (e) {
-    logDebug(`Failed to parse content from data line: ${e.message}`);
-    return { text: "", isThought: false };
+    log.debug(`Failed to parse content from data line: ${e.message}`);
+    return { ...empty, malformed: true };
+  }
+}
+
+/**
+ * Appends a streamed part to a merged parts array, concatenating consecutive text parts of the same kind
+ * so the result looks like what a single non-streaming generateContent call would have returned.
+ */
+function appendMergedPart(parts, part) {
+  const last = parts[parts.length - 1];
+  const isPlainText = (p) => typeof p.text === "string" && Object.keys(p).every(k => k === "text" || k === "thought" || k === "thoughtSignature");
+  if (last && isPlainText(last) && isPlainText(part) && (last.thought === true) === (part.thought === true) && !last.thoughtSignature) {
+    last.text += part.text;
+    if (part.thoughtSignature) last.thoughtSignature = part.thoughtSignature;
+    return;
+  }
+  parts.push({ ...part });
+}
+
+/**
+ * Creates a filter that removes the completion sentinel from the text sent to the client. The tail of the formal
+ * text that could still turn out to be the sentinel (plus surrounding whitespace) is held back, so a sentinel split
+ * across chunks - or across retries - never reaches the client. Held text is released as soon as it is ruled out.
+ * @param {string} sentinel The completion sentinel, e.g. "[done]".
+ */
+function createSentinelStripper(sentinel) {
+  let held = "";
+
+  // Number of trailing characters of `text` that may belong to the sentinel and must not be sent yet.
+  const holdbackLength = (text) => {
+    const core = text.trimEnd();
+    let hold = text.length - core.length;
+    let matched = 0;
+    if (core.endsWith(sentinel)) {
+      matched = sentinel.length;
+    } else {
+      for (let k = Math.min(sentinel.length - 1, core.length); k > 0; k--) {
+        if (core.endsWith(sentinel.slice(0, k))) { matched = k; break; }
+      }
+    }
+    if (matched === 0) return hold;
+    const before = core.slice(0, core.length - matched);
+    return hold + matched + (before.length - before.trimEnd().length);
+  };
+
+  const stripFinal = (text) => {
+    const core = text.trimEnd();
+    return core.endsWith(sentinel) ? core.slice(0, core.length - sentinel.length).trimEnd() : text;
+  };
+
+  return {
+    /**
+     * Rewrites the formal text parts of one chunk.
+     * @param {object} data The parsed chunk.
+     * @param {boolean} final Whether this chunk ends the response; the held tail is then released minus the sentinel.
+     * @returns {object|null} The rewritten chunk, or null if it can be forwarded unchanged. The rewritten chunk has no
+     *   parts when all of its text is held back.
+     */
+    apply(data, final) {
+      const cand = data?.candidates?.[0];
+      const parts = cand?.content?.parts || [];
+      let changed = false;
+      const out = [];
+      for (const part of parts) {
+        if (part.thought === true) {
+          out.push(part);
+        } else if (typeof part.text === "string") {
+          const combined = held + part.text;
+          const keep = combined.length - holdbackLength(combined);
+          held = combined.slice(keep);
+          if (combined.slice(0, keep) !== part.text) changed = true;
+          out.push({ ...part, text: combined.slice(0, keep) });
+        } else {
+          if (held) { out.push({ text: held }); held = ""; changed = true; }
+          out.push(part);
+        }
+      }
+      if (final && held) {
+        const rest = stripFinal(held);
+        held = "";
+        changed = true;
+        if (rest) {
+          const lastText = [...out].reverse().find(p => p.thought !== true && typeof p.text === "string");
+          if (lastText) lastText.text += rest;
+          else out.push({ text: rest });
+        }
+      }
+      if (!changed || !cand) return null;
+      // Parts emptied by the hold are dropped; parts that carry more than text (a thought signature) are kept.
+      const kept = out.filter(p => !(p.text === "" && Object.keys(p).length === 1));
+      return { ...data, candidates: [{ ...cand, content: { role: "model", ...cand.content, parts: kept } }, ...data.candidates.slice(1)] };
+    },
+
+    /** Releases the held tail (minus a complete sentinel) when the session ends without a final chunk. */
+    flush() {
+      const rest = stripFinal(held);
+      held = "";
+      return rest;
+    },
+  };
+}
+
+// Lead-ins a model sometimes puts before a continuation although it was asked not to, e.g. "Sure, continuing:".
+const CONTINUATION_PREAMBLE_PATTERNS = [
+  /^\s*(?:(?:sure|okay|ok|certainly|of course|alright|got it)[,.!]?\s+)?(?:here(?:'s| is) the (?:rest|continuation)|(?:i'll |i will |let me )?(?:continue|continuing|resuming|picking up)\b)[^\n]{0,60}?(?:\.\.\.|[:.!])[ \t]*(?:\r?\n)*/i,
+  /^\s*(?:sure|okay|ok|certainly|of course|alright|got it)[,.!]*[ \t]*(?:\r?\n)+/i,
+];
+
+/**
+ * Lower-cases text and collapses whitespace runs to one space, keeping for every normalized character the
+ * offset just past it in the original text so a match can be mapped back.
+ */
+function normalizeForOverlap(text) {
+  let norm = "";
+  const ends = [];
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (norm.endsWith(" ")) { ends[ends.length - 1] = i + 1; continue; }
+      norm += " ";
+      ends.push(i + 1);
+    } else {
+      for (const c of text[i].toLowerCase()) { norm += c; ends.push(i + 1); }
+    }
+  }
+  return { norm, ends };
+}
+
+/**
+ * Aligns `a` with the best-matching prefix of `b` using an edit distance limited to `maxEdits` (a banded
+ * Levenshtein table, so the cost stays proportional to the text length).
+ * @returns {{end: number, edits: number}|null} The end of the matching prefix of `b`, or null if none is close enough.
+ */
+function alignWithPrefix(a, b, maxEdits) {
+  const INF = 1e9;
+  let prev = new Int32Array(b.length + 1).fill(INF);
+  for (let j = 0; j <= Math.min(b.length, maxEdits); j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    const cur = new Int32Array(b.length + 1).fill(INF);
+    const lo = Math.max(0, i - maxEdits);
+    const hi = Math.min(b.length, i + maxEdits);
+    if (lo === 0) cur[0] = i;
+    for (let j = Math.max(1, lo); j <= hi; j++) {
+      cur[j] = Math.min(prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1), prev[j] + 1, cur[j - 1] + 1);
+    }
+    prev = cur;
   }
+  let best = null;
+  for (let j = Math.max(0, a.length - maxEdits); j <= Math.min(b.length, a.length + maxEdits); j++) {
+    if (prev[j] > maxEdits) continue;
+    if (!best || prev[j] < best.edits || (prev[j] === best.edits && Math.abs(j - a.length) < Math.abs(best.end - a.length))) {
+      best = { end: j, edits: prev[j] };
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the longest tail of `previous` that `head` starts by repeating, ignoring case and whitespace differences
+ * and tolerating up to (1 - minSimilarity) edits per character.
+ * @returns {{end: number, edits: number}|null} How many characters of `head` repeat the previous text.
+ */
+function findRepeatedPrefix(previous, head, minSimilarity, minChars) {
+  const A = normalizeForOverlap(previous.slice(-Math.ceil(head.length * 1.5)));
+  const B = normalizeForOverlap(head);
+  for (let p = 0; p < A.norm.length; p++) {
+    const a = A.norm.slice(p);
+    if (a.trim().length < minChars) break;
+    const maxEdits = Math.floor(a.length * (1 - minSimilarity));
+    if (a.length > B.norm.length + maxEdits) continue;
+    if (maxEdits === 0) {
+      if (B.norm.startsWith(a)) return { end: B.ends[a.length - 1], edits: 0 };
+      continue;
+    }
+    // Cheap anchor before the full alignment: one of the first two characters has to line up.
+    if (a[0] !== B.norm[0] && a[1] !== B.norm[1]) continue;
+    const best = alignWithPrefix(a, B.norm, maxEdits);
+    if (best && best.end > 0) return { end: B.ends[best.end - 1], edits: best.edits };
+  }
+  return null;
+}
+
+/**
+ * Creates a filter for the head of a retried stream. The first OVERLAP_HOLDBACK_CHARS characters of formal text
+ * are held back and compared with the text already sent; a lead-in such as "Sure, continuing:", a code fence the
+ * model reopens although the previous text is still inside one, and any repeat of the previous tail are removed
+ * before the rest is released. Everything after the head passes through untouched.
+ * @param {string} previousText The formal text already forwarded to the client.
+ */
+function createContinuationStitcher(ctx, previousText) {
+  const { config, log } = ctx;
+  let held = "";
+  let resolved = config.overlap_holdback_chars <= 0 || !previousText.trim();
+
+  const stitchHead = (head) => {
+    let text = head;
+    const removed = [];
+    const preamble = CONTINUATION_PREAMBLE_PATTERNS.map(re => re.exec(text)).find(m => m && m[0].trim());
+    if (preamble) {
+      text = text.slice(preamble[0].length);
+      removed.push(`preamble ${JSON.stringify(preamble[0].trim())}`);
+    }
+    let repeat = findRepeatedPrefix(previousText, text, config.overlap_min_similarity, config.overlap_min_chars);
+    const insideCodeFence = (previousText.match(/^[ \t]*```/gm) || []).length % 2 === 1;
+    const reopenedFence = !repeat && insideCodeFence ? /^\s*```[^\n`]*\r?\n/.exec(text) : null;
+    if (reopenedFence) {
+      text = text.slice(reopenedFence[0].length);
+      removed.push("reopened code fence");
+      repeat = findRepeatedPrefix(previousText, text, config.overlap_min_similarity, config.overlap_min_chars);
+    }
+    if (repeat) {
+      text = text.slice(repeat.end);
+      removed.push(`${repeat.end} repeated chars (${repeat.edits} edits)`);
+    }
+    if (removed.length) log.info(`Continuation stitched: removed ${removed.join(", ")}`);
+    else log.debug("Continuation stitched: no overlap with the previous text");
+    return text;
+  };
+
+  return {
+    /**
+     * Rewrites the formal text parts of one chunk while the head of the stream is being held back.
+     * @param {object} data The parsed chunk.
+     * @param {boolean} final Whether this chunk ends the stream; the held head is then released regardless of its size.
+     * @returns {object|null} The rewritten chunk, or null if it can be forwarded unchanged.
+     */
+    apply(data, final) {
+      const cand = data?.candidates?.[0];
+      if (resolved || !cand) return null;
+      const out = [];
+      let lastTextIndex = -1;
+      for (const part of cand.content?.parts || []) {
+        if (part.thought === true) {
+          out.push(part);
+        } else if (typeof part.text === "string" && !resolved) {
+          held += part.text;
+          lastTextIndex = out.length;
+          out.push({ ...part, text: "" });
+        } else {
+          // Non-text output (a function call, code) ends the head: release what was held before it.
+          if (!resolved) {
+            if (held) out.push({ text: stitchHead(held) });
+            held = "";
+            resolved = true;
+          }
+          out.push(part);
+        }
+      }
+      if (!resolved && (held.length >= config.overlap_holdback_chars || final)) {
+        const text = stitchHead(held);
+        held = "";
+        resolved = true;
+        if (lastTextIndex !== -1) out[lastTextIndex].text = text;
+        else if (text) out.push({ text });
+      }
+      // Parts emptied by the hold are dropped; parts that carry more than text (a thought signature) are kept.
+      const parts = out.filter(p => !(p.text === "" && Object.keys(p).length === 1));
+      return { ...data, candidates: [{ ...cand, content: { role: "model", ...cand.content, parts } }, ...data.candidates.slice(1)] };
+    },
+
+    /** Releases the (stitched) held head when the stream is interrupted before it was complete. */
+    flush() {
+      if (resolved) return "";
+      resolved = true;
+      const text = held ? stitchHead(held) : "";
+      held = "";
+      return text;
+    },
+  };
+}
+
+/**
+ * Ways of asking the model to resume a cut-off answer, tried in the order of CONTINUATION_STRATEGIES:
+ * - `user_turn`: the partial answer as a model turn after the last user message, then a user turn with the prompt.
+ * - `model_prefill`: the partial answer as the final model turn with no extra turn, so the model simply continues it.
+ * - `append_model_turn`: the partial answer appended to the conversation's trailing model turn (a client prefill),
+ *   or added as one, then a user turn with the prompt.
+ * - `system_instruction`: like `model_prefill`, with the continuation request added to the system instruction.
+ */
+const CONTINUATION_STRATEGIES = ["user_turn", "model_prefill", "append_model_turn", "system_instruction"];
+
+// Default continuation prompts per language: `user` is sent as a user turn, `system` is added to the system
+// instruction, `thoughts` introduces the optional reasoning context.
+const CONTINUATION_PROMPTS = {
+  en: {
+    user: "Continue exactly where you left off without any preamble or repetition.",
+    system: "Your previous answer was cut off. The last model message is that unfinished answer; continue it exactly where it stops, without any preamble or repetition.",
+    thoughts: "For reference, your reasoning so far:",
+  },
+  zh: {
+    user: "请从中断的地方继续，不要重复已输出的内容，也不要任何开场白。",
+    system: "你之前的回答被中断了。最后一条模型消息就是这段未完成的回答，请从它结束的地方原样继续，不要重复，也不要任何开场白。",
+    thoughts: "供参考，你之前的思考过程：",
+  },
+  ja: {
+    user: "中断したところから、前置きや繰り返しなしでそのまま続けてください。",
+    system: "前回の回答は途中で途切れました。最後のモデルメッセージがその未完成の回答です。前置きや繰り返しなしで、途切れたところからそのまま続けてください。",
+    thoughts: "参考までに、これまでの思考過程：",
+  },
+  ko: {
+    user: "중단된 부분부터 서두나 반복 없이 그대로 이어서 작성하세요.",
+    system: "이전 답변이 중간에 끊겼습니다. 마지막 모델 메시지가 그 미완성 답변입니다. 서두나 반복 없이 끊긴 지점부터 그대로 이어서 작성하세요.",
+    thoughts: "참고용, 지금까지의 추론:",
+  },
+  ru: {
+    user: "Продолжи ровно с того места, где остановился, без вступления и повторов.",
+    system: "Твой предыдущий ответ оборвался. Последнее сообщение модели — это незаконченный ответ; продолжи его ровно с места обрыва, без вступления и повторов.",
+    thoughts: "Для справки, твои рассуждения до этого:",
+  },
+  es: {
+    user: "Continúa exactamente donde lo dejaste, sin introducción ni repeticiones.",
+    system: "Tu respuesta anterior se cortó. El último mensaje del modelo es esa respuesta incompleta; continúala exactamente donde se interrumpe, sin introducción ni repeticiones.",
+    thoughts: "Como referencia, tu razonamiento hasta ahora:",
+  },
+  fr: {
+    user: "Reprends exactement là où tu t'es arrêté, sans préambule ni répétition.",
+    system: "Ta réponse précédente a été interrompue. Le dernier message du modèle est cette réponse inachevée ; reprends-la exactement là où elle s'arrête, sans préambule ni répétition.",
+    thoughts: "Pour référence, ton raisonnement jusqu'ici :",
+  },
+  de: {
+    user: "Mach genau dort weiter, wo du aufgehört hast, ohne Einleitung und ohne Wiederholungen.",
+    system: "Deine vorherige Antwort wurde abgebrochen. Die letzte Modellnachricht ist diese unvollständige Antwort; setze sie genau an der Abbruchstelle fort, ohne Einleitung und ohne Wiederholungen.",
+    thoughts: "Zur Orientierung, deine bisherigen Überlegungen:",
+  },
+};
+
+/**
+ * Picks the prompt language from the script of the conversation: kana means Japanese, Hangul Korean, Han Chinese,
+ * Cyrillic Russian; anything else falls back to English. Latin-script languages have to be set explicitly.
+ */
+function detectContinuationLanguage(text) {
+  if (/[\u3040-\u30ff]/.test(text)) return "ja";
+  if (/[\uac00-\ud7af]/.test(text)) return "ko";
+  if (/[\u4e00-\u9fff]/.test(text)) return "zh";
+  if (/[\u0400-\u04ff]/.test(text)) return "ru";
+  return "en";
+}
+
+/**
+ * Shortens the model's reasoning to at most `maxChars`, keeping its beginning and its most recent part.
+ */
+function summarizeThoughts(text, maxChars) {
+  const trimmed = text.trim();
+  if (trimmed.length <= maxChars) return trimmed;
+  const half = Math.floor(maxChars / 2);
+  return `${trimmed.slice(0, half).trimEnd()}\n[…]\n${trimmed.slice(-half).trimStart()}`;
 }
 
-function buildRetryRequestBody(originalBody, accumulatedText) {
-  logDebug(`Building retry request body. Accumulated text length: ${accumulatedText.length}`);
-  logDebug(`Accumulated text preview: ${accumulatedText.length > 200 ? accumulatedText.substring(0, 200) + "..." : accumulatedText}`);
+/**
+ * Builds the continuation request with the given strategy (see CONTINUATION_STRATEGIES). The partial answer is
+ * rebuilt from the exact non-thought parts already sent to the client (text, function calls, code, inline data,
+ * with their thought signatures).
+ * @param {object} originalBody The original request body.
+ * @param {object[]} accumulatedParts The merged parts already forwarded to the client.
+ * @param {object} [options]
+ * @param {string} [options.strategy] The continuation strategy, `user_turn` by default.
+ * @param {string} [options.thoughts] The model's reasoning so far, included when CONTINUATION_THOUGHT_CONTEXT_CHARS is set.
+ * @param {string|null} [options.prompt] Replaces the configured or localized prompt, e.g. after a block.
+ * @returns {object} The retry request body.
+ */
+function buildRetryRequestBody(ctx, originalBody, accumulatedParts, { strategy = "user_turn", thoughts = "", prompt = null } = {}) {
+  const { config, log } = ctx;
+  const accumulatedText = accumulatedParts.map(p => p.text || "").join("");
+  log.debug(`Building retry request body with strategy '${strategy}'. Accumulated parts: ${accumulatedParts.length}, text length: ${accumulatedText.length}`);
+  log.debug("Accumulated text preview:", logContent(accumulatedText));
   const retryBody = JSON.parse(JSON.stringify(originalBody));
   if (!retryBody.contents) retryBody.contents = [];
-  const lastUserIndex = retryBody.contents.map(c => c.role).lastIndexOf("user");
-  const history = [
-    { role: "model", parts: [{ text: accumulatedText }] },
-    { role: "user", parts: [{ text: "Continue exactly where you left off without any preamble or repetition." }] }
-  ];
-  if (lastUserIndex !== -1) {
-    retryBody.contents.splice(lastUserIndex + 1, 0, ...history);
-    logDebug(`Inserted retry context after user message at index ${lastUserIndex}`);
+  const contents = retryBody.contents;
+  const modelParts = accumulatedParts.length ? JSON.parse(JSON.stringify(accumulatedParts)) : [{ text: "" }];
+
+  const lastUserText = contents.filter(c => c.role === "user").slice(-1)[0]?.parts?.map(p => p.text || "").join("") || "";
+  const language = config.continuation_language === "auto"
+    ? detectContinuationLanguage(accumulatedText + lastUserText)
+    : config.continuation_language;
+  const prompts = CONTINUATION_PROMPTS[language] || CONTINUATION_PROMPTS.en;
+  const thoughtContext = config.continuation_thought_context_chars > 0 && thoughts.trim()
+    ? `\n\n${prompts.thoughts}\n${summarizeThoughts(thoughts, config.continuation_thought_context_chars)}`
+    : "";
+  const userPrompt = (prompt || config.continuation_prompt || prompts.user) + thoughtContext;
+  const systemPrompt = strategy === "system_instruction"
+    ? (prompt || config.continuation_system_prompt || prompts.system) + thoughtContext
+    : thoughtContext.trim();
+
+  const lastUserIndex = contents.map(c => c.role).lastIndexOf("user");
+  const endsWithModelTurn = contents.length > 0 && contents[contents.length - 1].role === "model";
+
+  if (strategy === "user_turn") {
+    const history = [
+      { role: "model", parts: modelParts },
+      { role: "user", parts: [{ text: userPrompt }] }
+    ];
+    if (lastUserIndex !== -1) {
+      contents.splice(lastUserIndex + 1, 0, ...history);
+      log.debug(`Inserted retry context after user message at index ${lastUserIndex}`);
+    } else {
+      contents.push(...history);
+      log.debug(`Appended retry context to end of conversation`);
+    }
   } else {
-    retryBody.contents.push(...history);
-    logDebug(`Appended retry context to end of conversation`);
+    // The other strategies continue the conversation's trailing model turn (a client prefill) or start one.
+    if (endsWithModelTurn) {
+      const trailing = contents[contents.length - 1];
+      trailing.parts = [...(Array.isArray(trailing.parts) ? trailing.parts : []), ...modelParts];
+      log.debug(`Appended partial answer to the trailing model turn`);
+    } else {
+      contents.push({ role: "model", parts: modelParts });
+      log.debug(`Appended partial answer as the final model turn`);
+    }
+    if (strategy === "append_model_turn") {
+      contents.push({ role: "user", parts: [{ text: userPrompt }] });
+    } else if (systemPrompt) {
+      // model_prefill only carries the optional reasoning context; system_instruction also carries the request.
+      injectCompletionInstruction(retryBody, systemPrompt);
+    }
   }
-  logDebug(`Final retry request has ${retryBody.contents.length} messages`);
+  log.debug(`Final retry request has ${contents.length} messages`);
   return retryBody;
 }
 
-async function processStreamAndRetryInternally({ initialReader, writer, originalRequestBody, upstreamUrl, originalHeaders }) {
+// Token counts of a usageMetadata object that add up across attempts.
+const USAGE_COUNT_FIELDS = [
+  "promptTokenCount",
+  "cachedContentTokenCount",
+  "candidatesTokenCount",
+  "toolUsePromptTokenCount",
+  "thoughtsTokenCount",
+  "totalTokenCount",
+];
+
+/** Returns only the token counts of a usageMetadata object. */
+function pickUsageCounts(usage) {
+  const counts = {};
+  for (const field of USAGE_COUNT_FIELDS) if (typeof usage?.[field] === "number") counts[field] = usage[field];
+  return counts;
+}
+
+/**
+ * Adds the token counts of `a` to `b`. Other fields (such as per-modality details) are taken from `b`.
+ */
+function addUsage(a, b) {
+  const sum = { ...b };
+  for (const field of USAGE_COUNT_FIELDS) {
+    if (typeof a?.[field] === "number" || typeof b?.[field] === "number") sum[field] = (a?.[field] || 0) + (b?.[field] || 0);
+  }
+  return sum;
+}
+
+const HARM_CATEGORIES = [
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+  "HARM_CATEGORY_CIVIC_INTEGRITY",
+];
+
+/**
+ * Sets every harm category of a request to the relaxed threshold, replacing the client's own settings for them.
+ */
+function applyRelaxedSafetySettings(body, threshold) {
+  const others = (Array.isArray(body.safetySettings) ? body.safetySettings : []).filter(s => !HARM_CATEGORIES.includes(s.category));
+  body.safetySettings = [...others, ...HARM_CATEGORIES.map(category => ({ category, threshold }))];
+  return body;
+}
+
+/**
+ * Returns the settings a recording keeps: everything that shapes the engine's behavior, and nothing
+ * deployment-specific such as keys, tokens or storage settings.
+ */
+const recordableConfig = (config) => Object.fromEntries(
+  Object.entries(config).filter(([key]) => key in DEFAULT_CONFIG && !DEPLOYMENT_ONLY_SETTINGS.has(key))
+);
+
+// process.getBuiltinModule keeps `node:` imports out of the Workers bundle; it exists from Node.js 20.16 and 22.3.
+const nodeFs = () => {
+  const fs = globalThis.process?.getBuiltinModule?.("node:fs/promises");
+  if (!fs) throw new Error("The disk recording store needs Node.js 20.16 or later");
+  return fs;
+};
+
+function recordingNamespace(ctx) {
+  const namespace = ctx.env[ctx.config.recording_kv_binding];
+  if (!namespace) throw new Error(`No KV namespace is bound as ${ctx.config.recording_kv_binding}`);
+  return namespace;
+}
+
+// Where recordings are kept (RECORDING_STORE). Recordings are stored under their own generated ID: the request ID
+// comes from the client, which could otherwise overwrite another session's recording by reusing it.
+const RECORDING_STORES = {
+  kv: {
+    save: (ctx, recording) => recordingNamespace(ctx).put(`recording:${recording.id}`, JSON.stringify(recording),
+      ctx.config.recording_ttl_seconds > 0 ? { expirationTtl: Math.max(60, ctx.config.recording_ttl_seconds) } : {}),
+    load: async (ctx, id) => JSON.parse(await recordingNamespace(ctx).get(`recording:${id}`) || "null"),
+  },
+  disk: {
+    save: async (ctx, recording) => {
+      const fs = nodeFs();
+      await fs.mkdir(ctx.config.recording_dir, { recursive: true });
+      await fs.writeFile(`${ctx.config.recording_dir}/${recording.id}.json`, JSON.stringify(recording));
+    },
+    load: async (ctx, id) => {
+      try {
+        return JSON.parse(await nodeFs().readFile(`${ctx.config.recording_dir}/${id}.json`, "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+  },
+};
+
+/**
+ * Starts recording a streaming session for offline replay (RECORD_SESSIONS): the client's request body, every
+ * upstream attempt with its request body, status and raw stream bytes (timed from the attempt's start), how the
+ * attempt's stream ended and why it was interrupted, and everything written to the client.
+ * @returns {object|null} The recorder, or null when this session is not recorded.
+ */
+function createSessionRecorder(ctx, { body, upstreamUrl, format, statusEvents }) {
+  const { config, log } = ctx;
+  if (!config.record_sessions || !config.recording_store) return null;
+  const store = RECORDING_STORES[config.recording_store];
+  if (!store) {
+    log.error(`Unknown RECORDING_STORE '${config.recording_store}' - session not recorded`);
+    return null;
+  }
+  if (Math.random() >= config.recording_sample_rate) return null;
+
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+  const recording = {
+    version: 1,
+    id: crypto.randomUUID(),
+    request_id: ctx.scope.id,
+    created_at: new Date(startedAt).toISOString(),
+    upstream_url: redactSecrets(upstreamUrl),
+    format,
+    status_events: statusEvents,
+    config: recordableConfig(config),
+    request: structuredClone(body),
+    attempts: [],
+    output: [],
+    outcome: null,
+  };
+  let current = null;
+  let finished = false;
+
+  return {
+    /** Starts the record of an upstream attempt, sent to `url` with `requestBody`. */
+    attempt(url, requestBody) {
+      current = { attempt: recording.attempts.length + 1, url: redactSecrets(url), started_ms: elapsed(), body: structuredClone(requestBody), status: null, chunks: [], end: null, interruption: null };
+      recording.attempts.push(current);
+    },
+    /** Records the attempt's response status, and the body of an error response since it can reach the client. */
+    async response(res) {
+      current.status = res.status;
+      if (!res.ok) current.error_body = await res.clone().text().catch(() => "");
+    },
+    /** Records an attempt whose request failed without a response. */
+    fetchError(e) {
+      if (current.status !== null) return;
+      current.end = { type: "fetch_error", message: e.message, ...(e.code ? { code: e.code } : {}) };
+    },
+    interruption(reason) {
+      if (current) current.interruption = reason;
+    },
+    /** Wraps the current attempt's upstream reader to record the bytes it delivers and how its stream ends. */
+    tapReader(reader) {
+      const entry = current;
+      const decoder = new TextDecoder();
+      return {
+        async read() {
+          try {
+            const result = await reader.read();
+            if (result.done) entry.end ??= { type: "eof" };
+            else entry.chunks.push([elapsed() - entry.started_ms, decoder.decode(result.value, { stream: true })]);
+            return result;
+          } catch (e) {
+            entry.end ??= { type: "error", message: e.message };
+            throw e;
+          }
+        },
+        cancel(reason) {
+          entry.end ??= { type: "cancelled", ...(reason?.code ? { code: reason.code } : {}) };
+          return reader.cancel(reason);
+        },
+      };
+    },
+    /** Wraps the client-side writer to record the session's output. */
+    tapWriter(writer) {
+      const decoder = new TextDecoder();
+      return {
+        write(chunk) {
+          recording.output.push([elapsed(), decoder.decode(chunk, { stream: true })]);
+          return writer.write(chunk);
+        },
+        close: () => writer.close(),
+        abort: (reason) => writer.abort(reason),
+        get closed() { return writer.closed; },
+      };
+    },
+    /** Ends the recording with the session's outcome and stores it in the background. */
+    finish(outcome) {
+      if (finished) return;
+      finished = true;
+      recording.outcome = outcome;
+      recording.duration_ms = elapsed();
+      const saving = Promise.resolve()
+        .then(() => store.save(ctx, recording))
+        .then(() => log.info(`Session recorded as ${recording.id} (${recording.attempts.length} attempts, ${config.recording_store})`))
+        .catch(e => log.error(`Failed to store the session recording: ${e.message}`));
+      ctx.scope.waitUntil?.(saving);
+    },
+  };
+}
+
+// Stall timeouts of a replay without the recorded timing. Chunks arrive at once, so only a stream the recorded
+// session stopped reading (and the replay does not) waits this long.
+const REPLAY_STALL_TIMEOUT_MS = 50;
+
+/**
+ * Builds the fake upstream response of one recorded attempt: its error response, its request failure, or its
+ * stream bytes, ending the way the recorded stream ended. A stream the proxy stopped reading itself (a block, a
+ * stall) stays open, so the replayed session has to reach the same decision to move on.
+ */
+function replayUpstreamResponse(recorded, signal, timing) {
+  if (recorded.end?.type === "fetch_error") {
+    if (recorded.end.code !== "STALL") return Promise.reject(new Error(recorded.end.message));
+    return new Promise((_, reject) => signal?.addEventListener("abort", () => reject(signal.reason), { once: true }));
+  }
+  if (recorded.status !== 200) {
+    return Promise.resolve(new Response(recorded.error_body ?? "", { status: recorded.status, headers: { "Content-Type": "application/json" } }));
+  }
+  const encoder = new TextEncoder();
+  const startedAt = Date.now();
+  let index = 0;
+  const body = new ReadableStream({
+    start(controller) {
+      signal?.addEventListener("abort", () => { try { controller.error(signal.reason); } catch (_) {} }, { once: true });
+    },
+    async pull(controller) {
+      const chunk = recorded.chunks[index++];
+      if (!chunk) {
+        if (recorded.end?.type === "eof") return controller.close();
+        if (recorded.end?.type === "error") return controller.error(new Error(recorded.end.message));
+        return new Promise(() => {});
+      }
+      if (timing === "recorded") await sleep(startedAt + chunk[0] - Date.now(), signal);
+      controller.enqueue(encoder.encode(chunk[1]));
+    },
+  });
+  return Promise.resolve(new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } }));
+}
+
+/**
+ * Runs a recorded session through the engine again, with the recorded upstream attempts served in order by a
+ * fake upstream, and compares the new output with the recorded one.
+ * @param {object} recording A recording made by `createSessionRecorder`.
+ * @param {object} [options]
+ * @param {"none"|"recorded"} [options.timing="none"] `recorded` delivers chunks at their recorded times and keeps the
+ *   recorded timeouts and backoff; `none` delivers them at once and shortens the stall timeouts.
+ * @param {object} [options.overrides] Settings to replay with instead of the recorded ones.
+ */
+async function replayRecording(ctx, recording, { timing = "none", overrides = {} } = {}) {
+  const { log } = ctx;
+  const config = { ...ctx.config, ...recordableConfig(recording.config || {}), ...recordableConfig(overrides), record_sessions: false };
+  if (timing !== "recorded") {
+    config.retry_delay_ms = 0;
+    const reasons = [...Object.keys(DEFAULT_RETRY_POLICIES), ...Object.keys(config.retry_policies)];
+    config.retry_policies = Object.fromEntries(reasons.map(reason => [reason, { ...config.retry_policies[reason], base_delay_ms: 0 }]));
+    for (const key of ["first_byte_timeout_ms", "first_content_timeout_ms", "idle_timeout_ms", "thought_idle_timeout_ms"]) {
+      config[key] = REPLAY_STALL_TIMEOUT_MS;
+    }
+  }
+
+  const requests = [];
+  const replayUpstream = (url, { body, signal }) => {
+    const recorded = recording.attempts[requests.length];
+    requests.push({ url, body: JSON.parse(body) });
+    if (!recorded) return Promise.resolve(jsonError(404, `The recording has no upstream attempt ${requests.length}.`));
+    return replayUpstreamResponse(recorded, signal, timing);
+  };
+  // A model fallback keeps the recorded settings: the deployment's policies may have changed since.
+  const replayCtx = { ...ctx, config: deepFreeze(config), configForModel: null, replayUpstream };
+
+  log.info(`=== REPLAYING SESSION ${recording.id} === ${recording.attempts.length} recorded attempts, timing: ${timing}`);
+  const session = await startStreamSession(replayCtx, {
+    body: recording.request,
+    headers: new Headers({ "content-type": "application/json" }),
+    upstreamUrl: recording.upstream_url,
+    format: recording.format,
+    statusEvents: recording.status_events
+  });
+  const output = session.response ? await session.response.text() : await new Response(session.readable).text();
+  const recordedOutput = recording.output.map(([, text]) => text).join("");
+  let firstDifference = 0;
+  while (firstDifference < output.length && output[firstDifference] === recordedOutput[firstDifference]) firstDifference++;
+  const matches = output === recordedOutput;
+  log.info(`Replay finished: ${requests.length} upstream requests (recorded: ${recording.attempts.length}), output ${matches ? "matches" : `differs from offset ${firstDifference}`}`);
+
+  return {
+    id: recording.id,
+    timing,
+    output_matches: matches,
+    first_difference: matches ? null : firstDifference,
+    output,
+    recorded_output: recordedOutput,
+    attempts: requests.map((request, i) => ({
+      attempt: i + 1,
+      recorded: i < recording.attempts.length,
+      interruption: recording.attempts[i]?.interruption ?? null,
+      body_matches: i < recording.attempts.length && JSON.stringify(request.body) === JSON.stringify(recording.attempts[i].body),
+      body: request.body,
+    })),
+  };
+}
+
+/**
+ * `POST /replay` replays a recorded session (see `replayRecording`). The body is `{ "recording": {...} }` or
+ * `{ "id": "<recording id>" }` to load it from the recording store, with optional `timing` and `overrides`.
+ * The route only exists when REPLAY_TOKEN is set, and callers must send it as `Authorization: Bearer <token>`.
+ */
+async function handleReplay(ctx, request) {
+  const { config, log } = ctx;
+  if (!config.replay_token) return jsonError(404, "Not Found");
+  const token = (request.headers.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+  if (!timingSafeEqualStrings(token, config.replay_token)) {
+    log.error("Rejected /replay request without a valid replay token");
+    return jsonError(401, "A valid replay token is required.");
+  }
+
+  const parsed = await readJsonBody(ctx, request);
+  if (parsed.response) return parsed.response;
+  const { id, timing = "none", overrides = {} } = parsed.body;
+  let recording = parsed.body.recording;
+  if (!recording && id) {
+    const store = RECORDING_STORES[config.recording_store];
+    if (!store) return jsonError(400, "No recording store is configured to load the recording from.");
+    if (!REQUEST_ID_PATTERN.test(id)) return jsonError(400, "Invalid recording id.");
+    recording = await store.load(ctx, id);
+    if (!recording) return jsonError(404, `No recording with id ${id}.`);
+  }
+  if (!recording?.attempts?.length || !Array.isArray(recording.output)) {
+    return jsonError(400, "The body must contain a recording or the id of a stored one.");
+  }
+
+  const result = await replayRecording(ctx, recording, { timing, overrides });
+  return new Response(JSON.stringify(result), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8" }
+  });
+}
+
+// --- Response Cache (RESPONSE_CACHE) ---
+
+/** JSON with object keys sorted, so bodies that differ only in key order are the same request. */
+const canonicalJson = (value) => JSON.stringify(value, (_, v) =>
+  v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v);
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Computes the response cache key of a request: a hash of the model, the client's credential, its `Idempotency-Key`
+ * header, the request's resolved configuration and the normalized body. Returns null when the request is not cacheable: no cache is configured,
+ * RESPONSE_CACHE_MODE is `off`, or it is `idempotency` and the request has no `Idempotency-Key`.
+ */
+async function responseCacheKey(ctx, request, body, model) {
+  const { config } = ctx;
+  if (!RESPONSE_CACHE_BACKENDS[config.response_cache] || config.response_cache_mode === "off") return null;
+  const idempotencyKey = request.headers.get("idempotency-key")?.trim() || "";
+  if (config.response_cache_mode !== "all" && !idempotencyKey) return null;
+  // The credential is part of the key, so clients never receive each other's answers, and so is the configuration
+  // after model policies and request overrides, so an answer is only reused for a request that would produce it.
+  return `response:${await sha256Hex(canonicalJson([model, presentedCredential(request), idempotencyKey, config, body]))}`;
+}
+
+function responseCacheNamespace(ctx) {
+  const namespace = ctx.env[ctx.config.response_cache_kv_binding];
+  if (!namespace) throw new Error(`No KV namespace is bound as ${ctx.config.response_cache_kv_binding}`);
+  return namespace;
+}
+
+const responseCacheMemory = new Map(); // cache key -> { expiresAt, entry }, least recently used first
+
+// Where completed sessions are cached (RESPONSE_CACHE). The in-memory cache belongs to one worker instance (or Node
+// process); a KV namespace is shared by all of them.
+const RESPONSE_CACHE_BACKENDS = {
+  memory: {
+    get: async (ctx, key) => {
+      const cached = responseCacheMemory.get(key);
+      if (!cached) return null;
+      responseCacheMemory.delete(key);
+      if (cached.expiresAt <= Date.now()) return null;
+      responseCacheMemory.set(key, cached);
+      return cached.entry;
+    },
+    put: async (ctx, key, entry) => {
+      responseCacheMemory.delete(key);
+      responseCacheMemory.set(key, { expiresAt: Date.now() + ctx.config.response_cache_ttl_seconds * 1000, entry });
+      for (const oldest of responseCacheMemory.keys()) {
+        if (responseCacheMemory.size <= ctx.config.response_cache_max_entries) break;
+        responseCacheMemory.delete(oldest);
+      }
+    },
+  },
+  kv: {
+    get: async (ctx, key) => JSON.parse(await responseCacheNamespace(ctx).get(key) || "null"),
+    put: (ctx, key, entry) => responseCacheNamespace(ctx).put(key, JSON.stringify(entry),
+      { expirationTtl: Math.max(60, ctx.config.response_cache_ttl_seconds) }),
+  },
+};
+
+// Cacheable sessions running in this instance, by cache key. Identical requests attach to them instead of
+// starting another upstream generation.
+const inflightSessions = new Map();
+
+/**
+ * Streams the payloads of a cached or running session to a client in the client's format. Payloads of a running
+ * session are written as the session produces them, until it ends; the client counts as one of its readers until
+ * it goes away.
+ * @param {{items: {kind: "data"|"error", json: string}[], done: boolean, waiters: Function[], join?: Function}} session
+ * @param {"sse"|"json"} format The client's stream format.
+ * @param {AbortSignal} [signal] The client request's signal, if the runtime provides one.
+ */
+function streamSessionItems(session, format, signal) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const out = createStreamEmitter(writer, format);
+  if (!session.done) {
+    const leave = session.join();
+    signal?.addEventListener("abort", leave, { once: true });
+    writer.closed.catch(leave);
+  }
+  (async () => {
+    for (let i = 0; ; i++) {
+      while (i >= session.items.length && !session.done) await new Promise(resolve => session.waiters.push(resolve));
+      if (i >= session.items.length) break;
+      const { kind, json } = session.items[i];
+      await (kind === "error" ? out.writeError(JSON.parse(json)) : out.writeLine(`data: ${json}`));
+    }
+    await out.close();
+  })().catch(() => {}); // The client went away; the session carries on while it has other readers.
+  return readable;
+}
+
+/**
+ * Starts a streaming session through the response cache (RESPONSE_CACHE). A cacheable request is answered from
+ * the cache, attaches to an identical session still running in this instance, or starts a session whose output
+ * is cached once it completes. Sessions that end any other way are never cached.
+ * @param {object} ctx The request context.
+ * @param {Request} request The client request, for its credential and `Idempotency-Key`.
+ * @param {object} options The options of startStreamSession.
+ * @returns {Promise<{response: Response}|{readable: ReadableStream, cache?: "hit"|"attached"|"miss"}>} The result
+ *   of startStreamSession, with how the cache answered when the request was cacheable.
+ */
+async function startCachedStreamSession(ctx, request, options) {
+  const { config, log } = ctx;
+  const model = modelFromUrl(options.upstreamUrl) || "";
+  const key = await responseCacheKey(ctx, request, options.body, model);
+  if (!key) return startStreamSession(ctx, options);
+  const backend = RESPONSE_CACHE_BACKENDS[config.response_cache];
+  const format = options.format || "sse";
+  const countResult = (result) => metricsRegistry.inc("antiblock_response_cache_total", { model, result });
+  const idempotencyKey = request.headers.get("idempotency-key")?.trim();
+
+  let cached = null;
+  try {
+    cached = await backend.get(ctx, key);
+  } catch (e) {
+    log.error(`Response cache lookup failed: ${e.message}`);
+  }
+  if (cached) {
+    log.info(`Response cache hit: replaying ${cached.items.length} payloads cached at ${cached.created_at}`);
+    countResult("hit");
+    return { readable: streamSessionItems({ items: cached.items, done: true, waiters: [] }, format), cache: "hit" };
+  }
+  const running = inflightSessions.get(key);
+  if (running && await running.started) {
+    log.info(`Response cache: attaching to the identical session of request ${running.requestId}`);
+    countResult("attached");
+    return { readable: streamSessionItems(running, format, options.signal), cache: "attached" };
+  }
+
+  countResult("miss");
+  let markStarted;
+  const controller = new AbortController();
+  let readers = 0;
+  let detachedTimer = null;
+  const session = {
+    requestId: ctx.scope.id,
+    items: [],
+    done: false,
+    waiters: [],
+    started: new Promise(resolve => { markStarted = resolve; }), // Whether the session got past the initial request.
+    /** Counts a client as a reader of the session; returns the function to call once it goes away. */
+    join() {
+      readers++;
+      clearTimeout(detachedTimer);
+      let left = false;
+      return () => {
+        if (left) return;
+        left = true;
+        if (--readers > 0 || session.done) return;
+        // A request with an Idempotency-Key is expected to be retried, so its session finishes for the cache, for a
+        // bounded time. Without one, nobody is going to ask for the answer again.
+        const maxMs = idempotencyKey ? config.response_cache_detached_max_ms : 0;
+        if (maxMs <= 0) return controller.abort(new Error("Every client of the session went away"));
+        log.info(`Response cache: every client went away - finishing the session for the cache within ${maxMs}ms`);
+        detachedTimer = setTimeout(() => controller.abort(new Error(`No client came back within ${maxMs}ms`)), maxMs);
+      };
+    },
+  };
+  const wake = () => session.waiters.splice(0).forEach(resolve => resolve());
+  const release = () => { if (inflightSessions.get(key) === session) inflightSessions.delete(key); };
+  inflightSessions.set(key, session);
+  const capture = {
+    item(kind, json) {
+      session.items.push({ kind, json });
+      wake();
+    },
+    finish(outcome) {
+      if (session.done) return;
+      session.done = true;
+      clearTimeout(detachedTimer);
+      wake();
+      if (outcome !== "complete") {
+        release();
+        return log.info(`Response cache: not caching a session that ended with ${outcome}`);
+      }
+      // The session stays attachable until it is stored, so no identical request starts over in between.
+      const entry = { model, created_at: new Date().toISOString(), items: session.items };
+      const storing = Promise.resolve()
+        .then(() => backend.put(ctx, key, entry))
+        .then(() => log.info(`Response cache: stored ${entry.items.length} payloads`))
+        .catch(e => log.error(`Response cache store failed: ${e.message}`))
+        .finally(release);
+      ctx.scope.waitUntil?.(storing);
+    },
+  };
+
+  // The first client is the session's first reader; the session is aborted once the last reader goes away.
+  capture.leave = session.join();
+  options.signal?.addEventListener("abort", capture.leave, { once: true });
+
+  try {
+    const result = await startStreamSession(ctx, { ...options, signal: controller.signal, capture });
+    markStarted(!result.response);
+    if (result.response) {
+      capture.finish("upstream_error");
+      return result;
+    }
+    return { ...result, cache: "miss" };
+  } catch (e) {
+    markStarted(false);
+    capture.finish("exception");
+    throw e;
+  }
+}
+
+/** Tells the client how the response cache answered (`X-Antiblock-Cache`), if the request was cacheable. */
+const responseCacheHeaders = (session) => session.cache
+  ? { "X-Antiblock-Cache": session.cache, "Access-Control-Expose-Headers": "X-Antiblock-Cache" }
+  : {};
+
+/**
+ * Forwards the upstream stream to the client and transparently retries with the accumulated context whenever
+ * the stream is interrupted, until it completes or a limit is hit.
+ * @param {object} options
+ * @param {string|null} [options.initialFailure] Why there is no initial stream to read (`STALL` when the initial
+ *   request got no response in time); the session then starts with a retry.
+ * @param {AbortSignal} [options.signal] Aborts when the client goes away; the session then stops reading upstream,
+ *   cancels any pending retry fetch or delay, and ends without writing anything else.
+ * @param {(e: Error) => void} [options.onWriteError] Called when writing to the client fails.
+ * @param {boolean} [options.statusEvents] Send `event: antiblock` status events and `: ping` heartbeats (SSE only);
+ *   without them the output carries nothing the upstream stream would not.
+ * @param {object|null} [options.recorder] The session's recorder, told about every attempt and interruption.
+ * @param {object|null} [options.capture] The response cache's capture of the session, given every payload written.
+ */
+async function processStreamAndRetryInternally({ ctx, initialReader, initialFailure = null, writer, originalRequestBody, upstreamUrl, originalHeaders, sentinel = null, format = "sse", signal, onWriteError, statusEvents = false, recorder = null, capture = null }) {
+  const attemptFields = { attempt: 1 }; // Updated in place, so every record of the session names its upstream attempt.
+  ctx = { ...ctx, log: ctx.log.child(attemptFields) };
+  const { log } = ctx;
+  let { config } = ctx; // Replaced by the fallback model's configuration when the retries move to it.
   let accumulatedText = "";
+  const accumulatedParts = []; // Every non-thought part forwarded so far, merged the way a non-streaming response would be.
   let consecutiveRetryCount = 0;
   let currentReader = initialReader;
   let totalLinesProcessed = 0;
@@ -242,344 +2608,1457 @@ async function processStreamAndRetryInternally({ initialReader, writer, original
   
   let isOutputtingFormalText = false; // Tracks if we have started sending real content.
   let swallowModeActive = false; // Is the worker actively swallowing thoughts post-retry?
+  const sentinelStripper = sentinel && config.strip_sentinel ? createSentinelStripper(sentinel) : null;
+  const out = createStreamEmitter(writer, format, onWriteError, capture?.item);
+  const deadlineAt = config.session_deadline_ms > 0 ? sessionStartTime + config.session_deadline_ms : Infinity;
+
+  log.info(`Starting stream processing session. Max retries: ${config.max_consecutive_retries}`);
+
+  const cleanup = (reader) => { if (reader) { log.debug("Cleaning up reader"); reader.cancel().catch(() => {}); } };
+
+  // --- Status Events & Heartbeats (opt-in) ---
+  const emitStatus = (type, fields) => {
+    if (!statusEvents || format !== "sse") return;
+    log.debug(`Status event: ${type}`, fields);
+    out.writeEvent("antiblock", { type, ...fields }).catch(() => {});
+  };
+  const heartbeat = statusEvents && format === "sse" && config.heartbeat_interval_ms > 0
+    ? setInterval(() => {
+        if (out.idleMs() < config.heartbeat_interval_ms) return;
+        out.writeComment("ping").catch(() => clearInterval(heartbeat));
+      }, Math.min(1000, config.heartbeat_interval_ms))
+    : null;
+
+  // Cancelling the reader ends the read loop right away instead of waiting for the next upstream chunk.
+  const onClientAbort = () => cleanup(currentReader);
+  signal?.addEventListener("abort", onClientAbort);
+  let retrySignal = null;
+  const metricModel = modelFromUrl(upstreamUrl) || "";
+  const recordSessionMetrics = (outcome) => {
+    metricsRegistry.inc("antiblock_sessions_total", { model: metricModel, outcome });
+    metricsRegistry.observe("antiblock_session_retries", { model: metricModel }, consecutiveRetryCount);
+    metricsRegistry.observe("antiblock_session_duration_seconds", { model: metricModel }, (Date.now() - sessionStartTime) / 1000);
+    metricsRegistry.observe("antiblock_session_accumulated_chars", { model: metricModel }, accumulatedText.length);
+  };
+  const endCancelled = () => {
+    recordSessionMetrics("cancelled");
+    recorder?.finish("cancelled");
+    capture?.finish("cancelled");
+    clearInterval(heartbeat);
+    signal?.removeEventListener("abort", onClientAbort);
+    retrySignal?.clear();
+    cleanup(currentReader);
+    log.error(`=== SESSION CLIENT-CANCELLED ===`);
+    log.error(`Reason: ${signal?.reason?.message || signal?.reason || "client disconnected"}`);
+    log.error(`Session duration: ${Date.now() - sessionStartTime}ms, retries: ${consecutiveRetryCount}, text forwarded: ${accumulatedText.length} chars`);
+    writer.abort(signal?.reason).catch(() => {});
+  };
+  const finish = (outcome) => {
+    recordSessionMetrics(outcome);
+    recorder?.finish(outcome);
+    capture?.finish(outcome);
+    clearInterval(heartbeat);
+    signal?.removeEventListener("abort", onClientAbort);
+    retrySignal?.clear();
+    return out.close().catch(e => { if (!signal?.aborted) throw e; });
+  };
+  // Writes outside the read loop can come after the last abort check. Once the client is gone they fail (and
+  // onWriteError aborts the signal); such a failure ends the session as cancelled rather than as an exception.
+  const endAfter = async (outcome, writes) => {
+    try {
+      await writes();
+    } catch (e) {
+      if (signal?.aborted) return endCancelled();
+      throw e;
+    }
+    return finish(outcome);
+  };
+  // Text held back by the sentinel stripper is still the model's output and is released before giving up.
+  const flushHeldText = async () => {
+    const heldText = sentinelStripper?.flush();
+    if (heldText) await out.writeData({ candidates: [{ content: { role: "model", parts: [{ text: heldText }] }, index: 0 }] });
+  };
+  const giveUp = (payload) => endAfter("retry_limit", async () => {
+    await flushHeldText();
+    await out.writeError(payload);
+  });
 
-  logInfo(`Starting stream processing session. Max retries: ${CONFIG.max_consecutive_retries}`);
-
-  const cleanup = (reader) => { if (reader) { logDebug("Cleaning up reader"); reader.cancel().catch(() => {}); } };
+  // Continuation strategies in fallback order; the session moves on when one keeps failing to make progress.
+  const strategies = config.continuation_strategies.filter(name => CONTINUATION_STRATEGIES.includes(name));
+  if (strategies.length === 0) strategies.push("user_turn");
+  let strategyIndex = 0;
+  let strategyFailures = 0;
+  const nextStrategy = (why) => {
+    if (strategyIndex >= strategies.length - 1) return false;
+    strategyIndex++;
+    strategyFailures = 0;
+    log.info(`Continuation strategy '${strategies[strategyIndex - 1]}' ${why} - falling back to '${strategies[strategyIndex]}'`);
+    return true;
+  };
+  let thoughtText = ""; // The model's reasoning seen so far, for CONTINUATION_THOUGHT_CONTEXT_CHARS.
+
+  // Model fallback chain: after MODEL_FALLBACK_AFTER interruptions of the configured kinds on one model, the
+  // retries move to the next model. Every model used is recorded with the text offset where its output starts.
+  // Settings read per attempt (timeouts, retry policies and limits, continuation and block-recovery settings) follow
+  // the fallback model's MODEL_POLICIES; what was fixed when the session started (the completion sentinel, the
+  // continuation strategy order, the fallback chain and the deadline) stays that of the requested model.
+  let currentUrl = upstreamUrl;
+  const modelChain = [modelFromUrl(upstreamUrl), ...fallbackModelsFor(config, modelFromUrl(upstreamUrl))];
+  let modelIndex = 0;
+  let modelInterruptions = 0;
+  const modelsUsed = [{ model: modelChain[0], textOffset: 0 }];
+
+  // Usage of every attempt whose stream was read; each attempt is a separate upstream generation.
+  const attempts = [];
+  // Estimated attempts count against the output token budget, but only reported counts are sent as usageMetadata;
+  // estimates appear in the per-attempt breakdown alone, flagged `estimated`.
+  const totalUsage = () => attempts.reduce((sum, a) => addUsage(sum, a.usage), null);
+  const reportedUsage = () => attempts.filter(a => !a.estimated).reduce((sum, a) => addUsage(sum, a.usage), null);
+  const hasReportedUsage = () => attempts.some(a => !a.estimated);
+  const recordAttempt = (outcome, usage, text) => {
+    const estimated = !usage;
+    attempts.push({
+      attempt: attempts.length + 1,
+      model: modelChain[modelIndex],
+      outcome,
+      usage: usage ? pickUsageCounts(usage) : { candidatesTokenCount: Math.ceil(text.length / 4), totalTokenCount: Math.ceil(text.length / 4) },
+      ...(estimated ? { estimated: true } : {})
+    });
+  };
+  const sessionMetadata = () => {
+    const metadata = {};
+    if (modelsUsed.length > 1) metadata.models = modelsUsed.map(m => ({ ...m }));
+    if (attempts.length > 1) metadata.usage = { attempts: attempts.map(a => ({ ...a, usage: { ...a.usage } })) };
+    return Object.keys(metadata).length ? metadata : null;
+  };
+  const switchModel = (why) => {
+    if (modelIndex >= modelChain.length - 1) return false;
+    modelIndex++;
+    modelInterruptions = 0;
+    currentUrl = withModel(upstreamUrl, modelChain[modelIndex]);
+    const modelConfig = ctx.configForModel?.(modelChain[modelIndex]);
+    if (modelConfig) {
+      config = modelConfig;
+      ctx = { ...ctx, config };
+    }
+    modelsUsed.push({ model: modelChain[modelIndex], textOffset: accumulatedText.length });
+    log.info(`=== MODEL FALLBACK === ${modelChain[modelIndex - 1]} -> ${modelChain[modelIndex]} ${why}`);
+    emitStatus("model_switched", { from: modelChain[modelIndex - 1], to: modelChain[modelIndex], reason: why, attempt: consecutiveRetryCount + 1 });
+    return true;
+  };
+
+  // Safety-block recovery (BLOCK_RECOVERY): the modes chosen so far change every later continuation request.
+  let lastBlock = null; // Kind and upstream reason of the most recent block.
+  const blockCounts = {};
+  let relaxSafety = false;
+  let rephrasePrompt = null;
+
+  const reasonCounts = {}; // Interruptions per reason in this session, for per-reason retry policies.
+  let pendingFailureReason = initialFailure; // Set when a request itself failed, so there is no stream to read.
+  let retryAfterMs = null; // Upstream Retry-After from the last failed retry request.
 
   while (true) {
-    let interruptionReason = null; // "DROP", "BLOCK", "FINISH_DURING_THOUGHT", "FINISH_ABNORMAL", "FINISH_INCOMPLETE", "FETCH_ERROR"
+    // "DROP", "BLOCK", "FINISH_DURING_THOUGHT", "FINISH_ABNORMAL", "FINISH_INCOMPLETE", "FETCH_ERROR", "RATE_LIMITED", "STALL"
+    let interruptionReason = pendingFailureReason;
+    const pendingRetryFailed = pendingFailureReason !== null;
+    pendingFailureReason = null;
     let cleanExit = false; // Flag to signal a valid, successful end of the stream.
     const streamStartTime = Date.now();
     let linesInThisStream = 0;
     let textInThisStream = "";
+    let attemptUsage = null; // The latest (cumulative) usageMetadata of this attempt.
+
+    // --- Stall Watchdog: first byte, first content chunk, then idle time between chunks (longer while thinking) ---
+    const watch = { firstByteAt: 0, firstContentAt: 0, lastActivityAt: 0, inThought: false };
+    const nextStallDeadline = () => {
+      const limits = [];
+      if (!watch.firstByteAt && config.first_byte_timeout_ms > 0) {
+        limits.push({ at: streamStartTime + config.first_byte_timeout_ms, label: "first byte" });
+      }
+      if (!watch.firstContentAt && config.first_content_timeout_ms > 0) {
+        limits.push({ at: streamStartTime + config.first_content_timeout_ms, label: "first content" });
+      }
+      const idle = watch.inThought ? config.thought_idle_timeout_ms : config.idle_timeout_ms;
+      if (watch.firstByteAt && idle > 0) {
+        limits.push({ at: watch.lastActivityAt + idle, label: watch.inThought ? "thought idle" : "idle" });
+      }
+      return limits.reduce((a, b) => (a && a.at <= b.at ? a : b), null);
+    };
+    // Only a retried stream can repeat what the client already has.
+    const stitcher = consecutiveRetryCount > 0 ? createContinuationStitcher(ctx, accumulatedText) : null;
+
+    const watchedReader = withStallWatchdog(currentReader, nextStallDeadline, () => {
+      watch.lastActivityAt = Date.now();
+      if (!watch.firstByteAt) watch.firstByteAt = watch.lastActivityAt;
+    });
+
+    // The stream is only read when the last retry request produced one.
+    if (!interruptionReason) {
+      log.debug(`=== Starting stream attempt ${consecutiveRetryCount + 1}/${config.max_consecutive_retries + 1} ===`);
+
+      try {
+        for await (const line of upstreamLineIterator(watchedReader, format, log)) {
+          totalLinesProcessed++;
+          linesInThisStream++;
+
+          let { data, parts, text: textChunk, isThought, hasFunctionCall, malformed } = isDataLine(line)
+            ? parseLineContent(line, log)
+            : { data: null, parts: [], text: "", isThought: false, hasFunctionCall: false, malformed: false };
+          // Forwarded as is, a broken payload would make the client's whole JSON array invalid.
+          if (malformed) {
+            log.error("Dropping malformed upstream chunk:", logContent(line));
+            continue;
+          }
+          let formalParts = parts.filter(p => p.thought !== true);
+          if (data?.usageMetadata) attemptUsage = data.usageMetadata;
+          if (config.continuation_thought_context_chars > 0) {
+            for (const part of parts) if (part.thought === true && part.text) thoughtText += part.text;
+            // Only the beginning and the end are ever summarized, so the middle need not be kept.
+            const keep = config.continuation_thought_context_chars;
+            if (thoughtText.length > 4 * keep) thoughtText = thoughtText.slice(0, keep) + thoughtText.slice(-keep);
+          }
+          if (parts.length) {
+            watch.inThought = isThought;
+            if (!watch.firstContentAt) watch.firstContentAt = Date.now();
+          }
 
-    logDebug(`=== Starting stream attempt ${consecutiveRetryCount + 1}/${CONFIG.max_consecutive_retries + 1} ===`);
-
-    try {
-      for await (const line of sseLineIterator(currentReader)) {
-        totalLinesProcessed++;
-        linesInThisStream++;
+          // --- Thought Swallowing Logic ---
+          if (swallowModeActive) {
+              if (isThought) {
+                  log.debug("Swallowing thought chunk due to post-retry filter:", logContent(line));
+                  const finishReasonOnSwallowedLine = extractFinishReason(line, log);
+                  if (finishReasonOnSwallowedLine) {
+                      log.error(`Stream stopped with reason '${finishReasonOnSwallowedLine}' while swallowing a 'thought' chunk. Triggering retry.`);
+                      interruptionReason = "FINISH_DURING_THOUGHT";
+                      break; 
+                  }
+                  metricsRegistry.inc("antiblock_swallowed_thought_chunks_total", { model: metricModel });
+                  continue; // Skip the rest of the loop for this line.
+              } else {
+                  log.info("First formal text chunk received after swallowing. Resuming normal stream.");
+                  swallowModeActive = false;
+                  emitStatus("swallow_mode", { active: false, attempt: consecutiveRetryCount + 1 });
+              }
+          }
 
-        const { text: textChunk, isThought } = isDataLine(line) ? parseLineContent(line) : { text: "", isThought: false };
+          // --- Retry Decision Logic ---
+          const finishReason = extractFinishReason(line, log);
+          let needsRetry = false;
+
+          // --- Continuation Stitching: the retry decision and the forwarded chunk see the de-duplicated text ---
+          const stitched = stitcher && data ? stitcher.apply(data, Boolean(finishReason)) : null;
+          if (stitched) {
+            data = stitched;
+            formalParts = stitched.candidates[0].content.parts.filter(p => p.thought !== true);
+            textChunk = formalParts.filter(p => typeof p.text === "string").map(p => p.text).join("");
+            // Nothing of this chunk is released yet; forwarding it would only send empty text to the client.
+            if (!finishReason && !stitched.candidates[0].content.parts.length && !extractBlock(stitched)) continue;
+          }
         
-        // --- Thought Swallowing Logic ---
-        if (swallowModeActive) {
-            if (isThought) {
-                logDebug("Swallowing thought chunk due to post-retry filter:", line);
-                const finishReasonOnSwallowedLine = extractFinishReason(line);
-                if (finishReasonOnSwallowedLine) {
-                    logError(`Stream stopped with reason '${finishReasonOnSwallowedLine}' while swallowing a 'thought' chunk. Triggering retry.`);
-                    interruptionReason = "FINISH_DURING_THOUGHT";
-                    break; 
-                }
-                continue; // Skip the rest of the loop for this line.
-            } else {
-                logInfo("First formal text chunk received after swallowing. Resuming normal stream.");
-                swallowModeActive = false;
+          const block = extractBlock(data);
+          if (block) {
+            log.error(`Content blocked (${block.kind}, ${block.reason}) in line:`, logContent(line));
+            interruptionReason = "BLOCK";
+            lastBlock = block;
+            needsRetry = true;
+          } else if (finishReason && isThought) {
+            log.error(`Stream stopped with reason '${finishReason}' on a 'thought' chunk. This is an invalid state. Triggering retry.`);
+            interruptionReason = "FINISH_DURING_THOUGHT";
+            needsRetry = true;
+          } else if (finishReason === "STOP") {
+            const tempAccumulatedText = accumulatedText + textChunk;
+            const trimmedText = tempAccumulatedText.trim();
+            const lastChar = trimmedText.slice(-1);
+            // A turn that ends in a function call is complete: the model hands control to the caller and
+            // never appends the completion marker after a tool call.
+            const lastFormalPart = [...accumulatedParts, ...formalParts].filter(p => !(typeof p.text === "string" && !p.text.trim())).pop();
+            const endsWithFunctionCall = Boolean(lastFormalPart?.functionCall);
+            if (endsWithFunctionCall) {
+              log.info("Finish reason 'STOP' after a function call - accepting the tool-call turn as complete.");
+            } else if (!sentinel) {
+              log.debug("Completion sentinel disabled for this request - accepting 'STOP' as final.");
+            } else if (!(trimmedText.length === 0 || trimmedText.endsWith(sentinel))){//FINAL_PUNCTUATION.has(lastChar))) {
+              log.error(`Finish reason 'STOP' treated as incomplete because text ends with '${lastChar}'. Triggering retry.`);
+              interruptionReason = "FINISH_INCOMPLETE";
+              needsRetry = true;
             }
-        }
+          } else if (finishReason && finishReason !== "MAX_TOKENS" && finishReason !== "STOP") {
+            log.error(`Abnormal finish reason: ${finishReason}. Triggering retry.`);
+            interruptionReason = "FINISH_ABNORMAL";
+            needsRetry = true;
+          }
 
-        // --- Retry Decision Logic ---
-        const finishReason = extractFinishReason(line);
-        let needsRetry = false;
+          if (needsRetry) {
+            break;
+          }
         
-        if (finishReason && isThought) {
-          logError(`Stream stopped with reason '${finishReason}' on a 'thought' chunk. This is an invalid state. Triggering retry.`);
-          interruptionReason = "FINISH_DURING_THOUGHT";
-          needsRetry = true;
-        } else if (isBlockedLine(line)) {
-          logError(`Content blocked detected in line: ${line}`);
-          interruptionReason = "BLOCK";
-          needsRetry = true;
-        } else if (finishReason === "STOP") {
-          const tempAccumulatedText = accumulatedText + textChunk;
-          const trimmedText = tempAccumulatedText.trim();
-          const lastChar = trimmedText.slice(-1);
-          if (!(trimmedText.length === 0 || trimmedText.endsWith('[done]'))){//FINAL_PUNCTUATION.has(lastChar))) {
-            logError(`Finish reason 'STOP' treated as incomplete because text ends with '${lastChar}'. Triggering retry.`);
-            interruptionReason = "FINISH_INCOMPLETE";
-            needsRetry = true;
+          // --- Line is Good: Forward and Update State ---
+          const rewritten = sentinelStripper && data
+            ? sentinelStripper.apply(data, finishReason === "STOP" || finishReason === "MAX_TOKENS")
+            : null;
+          const isFinal = finishReason === "STOP" || finishReason === "MAX_TOKENS";
+          let outData = rewritten || stitched;
+          // After a retry, usage is reported for the whole session: earlier attempts plus this one so far.
+          if (data && attempts.length && (data.usageMetadata || (isFinal && hasReportedUsage()))) {
+            outData = { ...(outData || data), usageMetadata: addUsage(reportedUsage(), data.usageMetadata || {}) };
+          }
+          if (isFinal) {
+            recordAttempt("COMPLETE", attemptUsage, textInThisStream + textChunk);
+            const metadata = sessionMetadata();
+            if (metadata) outData = { ...(outData || data), antiblock: metadata };
+          }
+          // A chunk whose text is all held back as a possible sentinel prefix has nothing left to send.
+          const heldBack = rewritten && !isFinal && !rewritten.candidates[0].content.parts.length && !outData.usageMetadata;
+          if (heldBack) log.debug("Chunk held back entirely by the sentinel stripper");
+          else if (outData) await out.writeData(outData);
+          else await out.writeLine(line);
+
+          if (formalParts.length) {
+            for (const part of formalParts) appendMergedPart(accumulatedParts, part);
+            if (textChunk || hasFunctionCall || formalParts.some(p => p.executableCode || p.codeExecutionResult || p.inlineData)) {
+              isOutputtingFormalText = true; // Mark that we've started sending real content.
+            }
+            accumulatedText += textChunk;
+            textInThisStream += textChunk;
+          }
+
+          if (finishReason === "STOP" || finishReason === "MAX_TOKENS") {
+            log.info(`Finish reason '${finishReason}' accepted as final. Stream complete.`);
+            cleanExit = true;
+            break;
           }
-        } else if (finishReason && finishReason !== "MAX_TOKENS" && finishReason !== "STOP") {
-          logError(`Abnormal finish reason: ${finishReason}. Triggering retry.`);
-          interruptionReason = "FINISH_ABNORMAL";
-          needsRetry = true;
         }
 
-        if (needsRetry) {
-          break;
+        if (!cleanExit && interruptionReason === null) {
+          log.error("Stream ended without finish reason - detected as DROP");
+          interruptionReason = "DROP";
         }
-        
-        // --- Line is Good: Forward and Update State ---
-        await writer.write(new TextEncoder().encode(line + "\n\n"));
 
-        if (textChunk && !isThought) {
-          isOutputtingFormalText = true; // Mark that we've started sending real text.
-          accumulatedText += textChunk;
-          textInThisStream += textChunk;
+      } catch (e) {
+        if (e.code === "STALL") {
+          log.error(`Upstream stalled: ${e.message} - detected as STALL`);
+          interruptionReason = "STALL";
+        } else {
+          log.error(`Exception during stream processing:`, e.message, e.stack);
+          interruptionReason = "FETCH_ERROR";
         }
+      } finally {
+        cleanup(currentReader);
+        const streamDuration = Date.now() - streamStartTime;
+        log.debug(`Stream attempt summary:`);
+        log.debug(`  Duration: ${streamDuration}ms`);
+        log.debug(`  Lines processed: ${linesInThisStream}`);
+        log.debug(`  Text generated this stream: ${textInThisStream.length} chars`);
+        log.debug(`  Total accumulated text: ${accumulatedText.length} chars`);
+      }
+    }
+
+    if (cleanExit) {
+      const sessionDuration = Date.now() - sessionStartTime;
+      log.info(`=== STREAM COMPLETED SUCCESSFULLY ===`);
+      log.info(`Total session duration: ${sessionDuration}ms`);
+      log.info(`Total lines processed: ${totalLinesProcessed}`);
+      log.info(`Total text generated: ${accumulatedText.length} characters`);
+      log.info(`Total retries needed: ${consecutiveRetryCount}`);
+      return finish("complete");
+    }
 
-        if (finishReason === "STOP" || finishReason === "MAX_TOKENS") {
-          logInfo(`Finish reason '${finishReason}' accepted as final. Stream complete.`);
-          cleanExit = true;
-          break;
+    if (signal?.aborted) return endCancelled();
+
+    // The held head of an interrupted retry is still new output; keep it instead of regenerating it.
+    const headText = stitcher?.flush();
+    if (headText) {
+      const headData = { candidates: [{ content: { role: "model", parts: [{ text: headText }] }, index: 0 }] };
+      const rewrittenHead = sentinelStripper?.apply(headData, false) || headData;
+      if (rewrittenHead.candidates[0].content.parts.length) {
+        try {
+          await out.writeData(rewrittenHead);
+        } catch (e) {
+          if (signal?.aborted) return endCancelled();
+          throw e;
         }
       }
+      appendMergedPart(accumulatedParts, { text: headText });
+      accumulatedText += headText;
+      isOutputtingFormalText = true;
+    }
+
+    // A continuation would put a user turn right after the model's function call, which Gemini rejects without a
+    // functionResponse. Function call parts arrive whole, so a stream that broke after one ends the turn instead.
+    const lastFormalPart = accumulatedParts.filter(p => !(typeof p.text === "string" && !p.text.trim())).pop();
+    if (lastFormalPart?.functionCall && ["DROP", "STALL", "FETCH_ERROR"].includes(interruptionReason)) {
+      log.info(`Stream interrupted (${interruptionReason}) after a complete function call - accepting the tool-call turn as complete.`);
+      if (!pendingRetryFailed) recordAttempt("COMPLETE", attemptUsage, textInThisStream);
+      const metadata = sessionMetadata();
+      return endAfter("complete", async () => {
+        await flushHeldText();
+        await out.writeData({
+          candidates: [{ content: { role: "model", parts: [] }, finishReason: "STOP", index: 0 }],
+          ...(hasReportedUsage() ? { usageMetadata: reportedUsage() } : {}),
+          ...(metadata ? { antiblock: metadata } : {})
+        });
+      });
+    }
 
-      if (!cleanExit && interruptionReason === null) {
-        logError("Stream ended without finish reason - detected as DROP");
-        interruptionReason = "DROP";
+    // --- Interruption & Retry Activation ---
+    log.error(`=== STREAM INTERRUPTED ===`);
+    log.error(`Reason: ${interruptionReason}`);
+    recorder?.interruption(interruptionReason);
+    if (!pendingRetryFailed) recordAttempt(interruptionReason, attemptUsage, textInThisStream + (headText || ""));
+    metricsRegistry.inc("antiblock_interruptions_total", { model: metricModel, reason: interruptionReason });
+    emitStatus("interrupted", { reason: interruptionReason, attempt: consecutiveRetryCount + 1, text_chars: accumulatedText.length });
+
+    // A retried stream that was interrupted again without adding anything counts against its strategy.
+    if (consecutiveRetryCount > 0 && !pendingRetryFailed) {
+      if (textInThisStream || headText) {
+        strategyFailures = 0;
+      } else if (++strategyFailures >= config.continuation_strategy_max_failures) {
+        nextStrategy(`failed ${strategyFailures} times in a row`);
       }
+    }
 
-    } catch (e) {
-      logError(`Exception during stream processing:`, e.message, e.stack);
-      interruptionReason = "FETCH_ERROR";
-    } finally {
-      cleanup(currentReader);
-      const streamDuration = Date.now() - streamStartTime;
-      logDebug(`Stream attempt summary:`);
-      logDebug(`  Duration: ${streamDuration}ms`);
-      logDebug(`  Lines processed: ${linesInThisStream}`);
-      logDebug(`  Text generated this stream: ${textInThisStream.length} chars`);
-      logDebug(`  Total accumulated text: ${accumulatedText.length} chars`);
+    // --- Safety-Block Recovery: the n-th block of a kind uses the n-th configured mode (the last one repeats) ---
+    let modelSwitched = false;
+    if (interruptionReason === "BLOCK" && lastBlock) {
+      const { kind, reason } = lastBlock;
+      blockCounts[kind] = (blockCounts[kind] || 0) + 1;
+      const modes = [].concat(config.block_recovery[kind] || "retry");
+      const mode = modes[Math.min(blockCounts[kind], modes.length) - 1];
+      log.info(`Block recovery for ${kind} (${reason}) #${blockCounts[kind]}: ${mode}`);
+      if (mode === "relax_safety") {
+        relaxSafety = true;
+      } else if (mode === "rephrase") {
+        rephrasePrompt = config.block_rephrase_prompt;
+      } else if (mode === "switch_model") {
+        modelSwitched = switchModel(`after ${reason}`);
+        if (!modelSwitched) log.info("No fallback model configured - retrying the same model");
+      } else if (mode === "give_up") {
+        log.error(`=== SESSION ENDED ON ${reason} ===`);
+        log.error(`Returning the ${accumulatedText.length} chars already generated with a block notice`);
+        return endAfter("blocked", async () => {
+          await flushHeldText();
+          // The upstream reason can be a prompt block reason or one the client does not know as a finish reason;
+          // the chunk carries the generic SAFETY and the notice names the actual kind and reason.
+          await out.writeData({
+            candidates: [{ content: { role: "model", parts: [] }, finishReason: "SAFETY", index: 0 }],
+            ...(lastBlock.promptFeedback ? { promptFeedback: lastBlock.promptFeedback } : {}),
+            ...(hasReportedUsage() ? { usageMetadata: reportedUsage() } : {}),
+            antiblock: {
+              ...sessionMetadata(),
+              notice: { code: "BLOCKED", kind, reason, retries: consecutiveRetryCount, partial_text_chars: accumulatedText.length }
+            }
+          });
+        });
+      }
+      lastBlock = null;
     }
 
-    if (cleanExit) {
-      const sessionDuration = Date.now() - sessionStartTime;
-      logInfo(`=== STREAM COMPLETED SUCCESSFULLY ===`);
-      logInfo(`Total session duration: ${sessionDuration}ms`);
-      logInfo(`Total lines processed: ${totalLinesProcessed}`);
-      logInfo(`Total text generated: ${accumulatedText.length} characters`);
-      logInfo(`Total retries needed: ${consecutiveRetryCount}`);
-      return writer.close();
+    if (!modelSwitched && config.model_fallback_reasons.includes(interruptionReason) && ++modelInterruptions >= config.model_fallback_after) {
+      switchModel(`after repeated ${interruptionReason}`);
     }
 
-    // --- Interruption & Retry Activation ---
-    logError(`=== STREAM INTERRUPTED ===`);
-    logError(`Reason: ${interruptionReason}`);
+    // --- Output Token Budget: the stitched answer as a whole stays within the caller's maxOutputTokens ---
+    const maxOutputTokens = originalRequestBody.generationConfig?.maxOutputTokens;
+    let remainingOutputTokens = null;
+    if (config.enforce_output_token_budget && maxOutputTokens > 0) {
+      const used = totalUsage();
+      remainingOutputTokens = maxOutputTokens - (used?.candidatesTokenCount || 0) - (used?.thoughtsTokenCount || 0);
+      if (remainingOutputTokens <= 0) {
+        log.info(`=== OUTPUT TOKEN BUDGET EXHAUSTED === maxOutputTokens ${maxOutputTokens} already produced across ${attempts.length} attempts`);
+        const metadata = sessionMetadata();
+        return endAfter("token_budget", async () => {
+          await flushHeldText();
+          await out.writeData({
+            candidates: [{ content: { role: "model", parts: [] }, finishReason: "MAX_TOKENS", index: 0 }],
+            ...(hasReportedUsage() ? { usageMetadata: reportedUsage() } : {}),
+            ...(metadata ? { antiblock: metadata } : {})
+          });
+        });
+      }
+    }
     
-    if (CONFIG.swallow_thoughts_after_retry && isOutputtingFormalText) {
-        logInfo("Retry triggered after formal text output. Will swallow subsequent thought chunks until formal text resumes.");
+    if (config.swallow_thoughts_after_retry && isOutputtingFormalText) {
+        log.info("Retry triggered after formal text output. Will swallow subsequent thought chunks until formal text resumes.");
+        if (!swallowModeActive) emitStatus("swallow_mode", { active: true, attempt: consecutiveRetryCount + 1 });
         swallowModeActive = true;
     }
 
-    logError(`Current retry count: ${consecutiveRetryCount}`);
-    logError(`Max retries allowed: ${CONFIG.max_consecutive_retries}`);
-    logError(`Text accumulated so far: ${accumulatedText.length} characters`);
+    reasonCounts[interruptionReason] = (reasonCounts[interruptionReason] || 0) + 1;
+    const policy = retryPolicyFor(config, interruptionReason);
+    const elapsed = Date.now() - sessionStartTime;
+
+    log.error(`Current retry count: ${consecutiveRetryCount}`);
+    log.error(`Max retries allowed: ${config.max_consecutive_retries}`);
+    log.error(`Interruptions with reason ${interruptionReason}: ${reasonCounts[interruptionReason]} (policy limit: ${policy.max_retries})`);
+    log.error(`Text accumulated so far: ${accumulatedText.length} characters`);
+
+    // --- Retry Limits: total count, per-reason count and the session's wall-clock budget ---
+    let backoffMs = computeBackoffMs(policy, reasonCounts[interruptionReason]);
+    if (retryAfterMs !== null) {
+      log.info(`Upstream asked to retry after ${retryAfterMs}ms`);
+      // The policy's max delay caps Retry-After too, so an upstream asking for an hour cannot park the client.
+      backoffMs = Math.max(backoffMs, Math.min(retryAfterMs, policy.max_delay_ms));
+    }
+    let limitHit = null;
+    if (consecutiveRetryCount >= config.max_consecutive_retries) {
+      limitHit = { limit: "max_retries", message: `Retry limit (${config.max_consecutive_retries}) exceeded` };
+    } else if (reasonCounts[interruptionReason] > policy.max_retries) {
+      limitHit = { limit: "reason_max_retries", message: `Retry limit for ${interruptionReason} (${policy.max_retries}) exceeded` };
+    } else if (Date.now() + backoffMs >= deadlineAt) {
+      limitHit = { limit: "time_budget", message: `Session time budget (${config.session_deadline_ms}ms) exceeded` };
+    }
 
-    if (consecutiveRetryCount >= CONFIG.max_consecutive_retries) {
-      const payload = {
+    if (limitHit) {
+      log.error(`${limitHit.message} - giving up.`);
+      return giveUp({
         error: {
           code: 504,
           status: "DEADLINE_EXCEEDED",
-          message: `Retry limit (${CONFIG.max_consecutive_retries}) exceeded after stream interruption. Last reason: ${interruptionReason}.`,
-          details: [{ "@type": "proxy.debug", accumulated_text_chars: accumulatedText.length }]
+          message: `${limitHit.message} after stream interruption. Last reason: ${interruptionReason}.`,
+          details: [
+            { "@type": "proxy.debug", accumulated_text_chars: accumulatedText.length },
+            {
+              "@type": "proxy.retry_limit",
+              limit: limitHit.limit,
+              last_reason: interruptionReason,
+              retries: consecutiveRetryCount,
+              reason_counts: { ...reasonCounts },
+              elapsed_ms: elapsed
+            },
+            ...(modelsUsed.length > 1 ? [{ "@type": "proxy.models", models: modelsUsed.map(m => ({ ...m })) }] : []),
+            ...(attempts.length ? [{ "@type": "proxy.usage", ...(hasReportedUsage() ? { usageMetadata: reportedUsage() } : {}), attempts }] : [])
+          ]
         }
-      };
-      await writer.write(SSE_ENCODER.encode(`event: error\ndata: ${JSON.stringify(payload)}\n\n`));
-      return writer.close();
+      });
     }
 
+    emitStatus("retry_started", {
+      reason: interruptionReason,
+      attempt: consecutiveRetryCount + 2,
+      retry: consecutiveRetryCount + 1,
+      max_retries: config.max_consecutive_retries,
+      delay_ms: Math.round(backoffMs),
+      model: modelChain[modelIndex],
+      strategy: strategies[strategyIndex]
+    });
+
+    if (backoffMs > 0) {
+      log.info(`Backing off ${Math.round(backoffMs)}ms before retry (${interruptionReason} #${reasonCounts[interruptionReason]})`);
+      await sleep(backoffMs, signal);
+      if (signal?.aborted) return endCancelled();
+    }
+    retryAfterMs = null;
+
     consecutiveRetryCount++;
-    logInfo(`=== STARTING RETRY ${consecutiveRetryCount}/${CONFIG.max_consecutive_retries} ===`);
+    attemptFields.attempt = consecutiveRetryCount + 1;
+    log.info(`=== STARTING RETRY ${consecutiveRetryCount}/${config.max_consecutive_retries} ===`);
 
     try {
-      const retryBody = buildRetryRequestBody(originalRequestBody, accumulatedText);
-      const retryHeaders = buildUpstreamHeaders(originalHeaders);
-
-      logDebug(`Making retry request to: ${upstreamUrl}`);
-      logDebug(`Retry request body size: ${JSON.stringify(retryBody).length} bytes`);
+      const strategy = strategies[strategyIndex];
+      const retryBody = buildRetryRequestBody(ctx, originalRequestBody, accumulatedParts, { strategy, thoughts: thoughtText, prompt: rephrasePrompt });
+      if (relaxSafety) applyRelaxedSafetySettings(retryBody, config.relaxed_safety_threshold);
+      if (remainingOutputTokens !== null) {
+        retryBody.generationConfig = { ...retryBody.generationConfig, maxOutputTokens: remainingOutputTokens };
+        log.debug(`Output token budget left for this retry: ${remainingOutputTokens}`);
+      }
 
-      const retryResponse = await fetch(upstreamUrl, {
+      recorder?.attempt(currentUrl, retryBody);
+      log.debug(`Making retry request to: ${currentUrl}`);
+      log.debug(`Retry request body size: ${JSON.stringify(retryBody).length} bytes`);
+
+      // The retry fetch (and the body it streams) is bound to both the client connection and the session deadline.
+      retrySignal?.clear();
+      retrySignal = deriveSignal(signal, deadlineAt - Date.now());
+      const currentRetrySignal = retrySignal;
+      const headersTimer = config.first_byte_timeout_ms > 0
+        ? setTimeout(() => currentRetrySignal.abort(stallError("No upstream response within the first byte timeout")), config.first_byte_timeout_ms)
+        : null;
+      const retryResponse = await fetchUpstream(ctx, currentUrl, {
         method: "POST",
-        headers: retryHeaders,
-        body: JSON.stringify(retryBody)
-      });
-
-      logInfo(`Retry request completed. Status: ${retryResponse.status} ${retryResponse.statusText}`);
+        body: JSON.stringify(retryBody),
+        signal: retrySignal.signal
+      }, originalHeaders).finally(() => clearTimeout(headersTimer));
+
+      log.info(`Retry request completed. Status: ${retryResponse.status} ${retryResponse.statusText}`);
+      await recorder?.response(retryResponse);
+
+      // A request the upstream rejects as invalid may just not suit this continuation strategy.
+      if (retryResponse.status === 400 && nextStrategy("was rejected with 400")) {
+        retryResponse.body?.cancel().catch(() => {});
+        pendingFailureReason = "FETCH_ERROR";
+        currentReader = null;
+        continue;
+      }
 
       if (NON_RETRYABLE_STATUSES.has(retryResponse.status)) {
-        logError(`=== FATAL ERROR DURING RETRY ===`);
-        logError(`Received non-retryable status ${retryResponse.status} during retry attempt ${consecutiveRetryCount}`);
-        await writeSSEErrorFromUpstream(writer, retryResponse);
-        return writer.close();
+        log.error(`=== FATAL ERROR DURING RETRY ===`);
+        log.error(`Received non-retryable status ${retryResponse.status} during retry attempt ${consecutiveRetryCount}`);
+        await flushHeldText();
+        await writeErrorFromUpstream(ctx, out, retryResponse);
+        return finish("upstream_error");
       }
 
       if (!retryResponse.ok) {
-        logError(`Retry attempt ${consecutiveRetryCount} failed with status ${retryResponse.status}`);
-        logError(`This is considered a retryable error - will try again if retries remain`);
-        throw new Error(`Upstream server error on retry: ${retryResponse.status}`);
+        log.error(`Retry attempt ${consecutiveRetryCount} failed with status ${retryResponse.status}`);
+        log.error(`This is considered a retryable error - will try again if retries remain`);
+        // 429 (after any pooled-key failover) and 5xx may tell us how long to wait.
+        retryAfterMs = parseRetryAfterMs(retryResponse.headers.get("Retry-After"));
+        pendingFailureReason = retryResponse.status === 429 ? "RATE_LIMITED" : "FETCH_ERROR";
+        retryResponse.body?.cancel().catch(() => {});
+        currentReader = null;
+        continue;
       }
 
-      logInfo(`✓ Retry attempt ${consecutiveRetryCount} successful - got new stream`);
-      logInfo(`Continuing with accumulated context (${accumulatedText.length} chars)`);
-      currentReader = retryResponse.body.getReader();
+      log.info(`✓ Retry attempt ${consecutiveRetryCount} successful - got new stream`);
+      log.info(`Continuing with accumulated context (${accumulatedText.length} chars)`);
+      currentReader = recorder ? recorder.tapReader(retryResponse.body.getReader()) : retryResponse.body.getReader();
 
     } catch (e) {
-      logError(`=== RETRY ATTEMPT ${consecutiveRetryCount} FAILED ===`);
-      logError(`Exception during retry:`, e.message);
-      logError(`Will wait ${CONFIG.retry_delay_ms}ms before next attempt (if any)`);
-      await new Promise(res => setTimeout(res, CONFIG.retry_delay_ms));
+      if (signal?.aborted) return endCancelled();
+      log.error(`=== RETRY ATTEMPT ${consecutiveRetryCount} FAILED ===`);
+      log.error(`Exception during retry:`, e.message);
+      recorder?.fetchError(e);
+      pendingFailureReason = e.code === "STALL" ? "STALL" : "FETCH_ERROR";
+      currentReader = null;
     }
   }
 }
 
-async function handleStreamingPost(request) {
-  const urlObj = new URL(request.url);
-  const upstreamUrl = `${CONFIG.upstream_url_base}${urlObj.pathname}${urlObj.search}`;
-
-  logInfo(`=== NEW STREAMING REQUEST ===`);
-  logInfo(`Upstream URL: ${upstreamUrl}`);
-  logInfo(`Request method: ${request.method}`);
-  logInfo(`Content-Type: ${request.headers.get("content-type")}`);
-
-  // system prompt inject
-  const body = await request.json();
+function injectCompletionInstruction(body, instruction) {
   const newSystemPromptPart = {
-          text: "Your message must end with [done] to signify the end of your output."
-      };
+    text: instruction
+  };
   // Case 1: `systemInstruction` field is missing or null.
-      // Create the `systemInstruction` object with the new prompt part.
-      if (!body.systemInstruction) {
-        body.systemInstruction = { parts: [newSystemPromptPart] };
-      } 
-      // Case 2: `systemInstruction` exists, but its `parts` array is missing, null, or not an array.
-      // Overwrite `parts` with a new array containing the new prompt part.
-      else if (!Array.isArray(body.systemInstruction.parts)) {
-        body.systemInstruction.parts = [newSystemPromptPart];
-      } 
-      // Case 3: `systemInstruction` and its `parts` array both exist.
-      // Append the new prompt part to the end of the existing array.
-      else {
-        body.systemInstruction.parts.push(newSystemPromptPart);
-      }
-  request = new Request(request, { body: JSON.stringify(body) });
-
-  let originalRequestBody;
-  try {
-    const requestText = await request.clone().text();
-    logDebug(`Request body size: ${requestText.length} bytes`);
-    originalRequestBody = JSON.parse(requestText);
-    logDebug(`Parsed request body with ${originalRequestBody.contents?.length || 0} messages`);
-  } catch (e) {
-    logError("Failed to parse request body:", e.message);
-    return jsonError(400, "Invalid JSON in request body", e.message);
+  // Create the `systemInstruction` object with the new prompt part.
+  if (!body.systemInstruction) {
+    body.systemInstruction = { parts: [newSystemPromptPart] };
+  }
+  // Case 2: `systemInstruction` exists, but its `parts` array is missing, null, or not an array.
+  // Overwrite `parts` with a new array containing the new prompt part.
+  else if (!Array.isArray(body.systemInstruction.parts)) {
+    body.systemInstruction.parts = [newSystemPromptPart];
   }
+  // Case 3: `systemInstruction` and its `parts` array both exist.
+  // Append the new prompt part to the end of the existing array.
+  else {
+    body.systemInstruction.parts.push(newSystemPromptPart);
+  }
+  return body;
+}
 
-  logInfo("=== MAKING INITIAL REQUEST ===");
-  const initialHeaders = buildUpstreamHeaders(request.headers);
-  const initialRequest = new Request(upstreamUrl, {
-    method: request.method,
-    headers: initialHeaders,
-    body: JSON.stringify(originalRequestBody),
-    duplex: "half"
-  });
+/**
+ * Extracts the model name from a Gemini API URL such as `/v1beta/models/gemini-2.5-pro:streamGenerateContent`.
+ * @param {string} url The request or upstream URL.
+ * @returns {string|null} The model name, or null if the path has no model segment.
+ */
+function modelFromUrl(url) {
+  const match = /\/models\/([^/:]+)/.exec(new URL(url).pathname);
+  return match ? decodeURIComponent(match[1]) : null;
+}
 
-  const t0 = Date.now();
-  const initialResponse = await fetch(initialRequest);
-  const dt = Date.now() - t0;
+/**
+ * Replaces the model segment of a Gemini API URL, keeping the method and query string.
+ */
+function withModel(url, model) {
+  return url.replace(/\/models\/[^/:?]+/, `/models/${encodeURIComponent(model)}`);
+}
+
+/**
+ * Returns the models to fall back to, in order, for the first MODEL_FALLBACKS pattern matching `model`.
+ */
+function fallbackModelsFor(config, model) {
+  if (!model) return [];
+  const entry = Object.entries(config.model_fallbacks || {}).find(([pattern]) => matchesModelPattern(model, pattern));
+  if (!entry) return [];
+  return (Array.isArray(entry[1]) ? entry[1] : [entry[1]]).filter(m => typeof m === "string" && m && m !== model);
+}
+
+/**
+ * Matches a model name against a pattern where `*` matches any run of characters, e.g. `gemini-2.5-*`.
+ */
+function matchesModelPattern(model, pattern) {
+  const regex = new RegExp("^" + pattern.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$", "i");
+  return regex.test(model);
+}
+
+/**
+ * Decides whether the completion sentinel is used for a request. SENTINEL_MODE (`on`/`off`, settable per model
+ * or per request) forces it; in `auto` mode it is off for models listed in SENTINEL_DISABLED_MODELS, and is off
+ * for structured-output requests (JSON or enum MIME types, response schemas) where the injected
+ * instruction would corrupt the output.
+ * @returns {string|null} The sentinel to use, or null when sentinel mode is off.
+ */
+function resolveCompletionSentinel(ctx, { body, upstreamUrl }) {
+  const { config, log } = ctx;
+  const sentinel = config.completion_sentinel;
+  if (!sentinel) return null;
 
-  logInfo(`Initial request completed in ${dt}ms`);
-  logInfo(`Initial response status: ${initialResponse.status} ${initialResponse.statusText}`);
+  if (config.sentinel_mode === "off") return null;
+  if (config.sentinel_mode === "on") return sentinel;
 
-  // Initial failure: return non-200 JSON error (do not start SSE)
-  if (!initialResponse.ok) {
-    logError(`=== INITIAL REQUEST FAILED ===`);
-    logError(`Status: ${initialResponse.status}`);
-    logError(`Status Text: ${initialResponse.statusText}`);
-    return await standardizeInitialError(initialResponse);
+  const model = modelFromUrl(upstreamUrl);
+  if (model && config.sentinel_disabled_models.some(p => matchesModelPattern(model, p))) {
+    log.info(`Completion sentinel disabled for model ${model}`);
+    return null;
   }
 
-  logInfo("=== INITIAL REQUEST SUCCESSFUL - STARTING STREAM PROCESSING ===");
-  const initialReader = initialResponse.body?.getReader();
-  if (!initialReader) {
-    logError("Initial response body is missing despite 200 status");
-    return jsonError(502, "Bad Gateway", "Upstream returned a success code but the response body is missing.");
+  const gc = body.generationConfig || {};
+  const mime = (gc.responseMimeType || "text/plain").toLowerCase();
+  if (mime !== "text/plain" || gc.responseSchema || gc.responseJsonSchema) {
+    log.info(`Completion sentinel disabled for structured output (${mime})`);
+    return null;
   }
+  return sentinel;
+}
 
-  const { readable, writable } = new TransformStream();
-  const writer = writable.getWriter();
+/**
+ * Reads and parses a JSON request body.
+ * @param {Request} request The client request.
+ * @returns {Promise<{body: object}|{response: Response}>} The parsed body, or a 400 response if it is not valid JSON.
+ */
+async function readJsonBody(ctx, request) {
+  const { log } = ctx;
+  try {
+    const requestText = await request.text();
+    log.debug(`Request body size: ${requestText.length} bytes`);
+    return { body: JSON.parse(requestText) };
+  } catch (e) {
+    log.error("Failed to parse request body:", e.message);
+    return { response: jsonError(400, "Invalid JSON in request body", e.message) };
+  }
+}
+
+/**
+ * Injects the completion instruction into a Gemini request body, makes the initial upstream request and,
+ * if it succeeds, starts the retry engine in the background.
+ * @param {object} options
+ * @param {object} options.body The Gemini GenerateContentRequest body.
+ * @param {Headers} options.headers The headers to derive upstream headers from (initial request and retries).
+ * @param {string} options.upstreamUrl The streaming upstream URL.
+ * @param {"sse"|"json"} [options.format] The stream format of the upstream URL, which is also the format of the output.
+ * @param {AbortSignal} [options.signal] The client request's signal, if the runtime provides one. For a captured
+ *   session it is the response cache's signal, which aborts once no client reads the session any more.
+ * @param {boolean} [options.statusEvents] Whether the client opted into status events and heartbeats.
+ * @param {object} [options.capture] Receives the session's output for the response cache. A captured session is
+ *   not cancelled when its own client goes away, only told through `capture.leave`, since other clients may be
+ *   reading it.
+ * @returns {Promise<{response: Response}|{readable: ReadableStream}>} Either an error response (nothing has been streamed yet)
+ *   or the readable side of the stream produced by the engine.
+ */
+async function startStreamSession(ctx, { body, headers, upstreamUrl, format = "sse", signal, statusEvents = false, capture = null }) {
+  const { config, log } = ctx;
+  const recorder = createSessionRecorder(ctx, { body, upstreamUrl, format, statusEvents });
+  const sentinel = resolveCompletionSentinel(ctx, { body, upstreamUrl });
+  const originalRequestBody = sentinel
+    ? injectCompletionInstruction(body, config.sentinel_instruction.split("{sentinel}").join(sentinel))
+    : body;
+  log.debug(`Parsed request body with ${originalRequestBody.contents?.length || 0} messages`);
+  recorder?.attempt(upstreamUrl, originalRequestBody);
+
+  log.info("=== MAKING INITIAL REQUEST ===");
+  const t0 = Date.now();
+  const initialSignal = deriveSignal(signal, config.first_byte_timeout_ms > 0 ? config.first_byte_timeout_ms : Infinity);
+  let initialResponse = null;
+  try {
+    initialResponse = await fetchUpstream(ctx, upstreamUrl, {
+      method: "POST",
+      body: JSON.stringify(originalRequestBody),
+      signal: initialSignal.signal
+    }, headers);
+  } catch (e) {
+    if (!initialSignal.signal.aborted || signal?.aborted) throw e;
+    // Like a stall in the middle of a stream, this is retried by the engine as a STALL interruption.
+    recorder?.fetchError(stallError(e.message));
+    log.error(`=== INITIAL REQUEST STALLED ===`);
+    log.error(`No upstream response within ${config.first_byte_timeout_ms}ms - retrying as STALL`);
+  } finally {
+    // Only the wait for response headers is bounded here; the stream itself is watched by the retry engine.
+    initialSignal.clear();
+  }
+
+  let initialReader = null;
+  if (initialResponse) {
+    const dt = Date.now() - t0;
+    metricsRegistry.observe("antiblock_time_to_first_byte_seconds", { model: modelFromUrl(upstreamUrl) || "" }, dt / 1000);
+
+    log.info(`Initial request completed in ${dt}ms`);
+    log.info(`Initial response status: ${initialResponse.status} ${initialResponse.statusText}`);
+    await recorder?.response(initialResponse);
+
+    // Initial failure: return non-200 JSON error (do not start SSE)
+    if (!initialResponse.ok) {
+      log.error(`=== INITIAL REQUEST FAILED ===`);
+      log.error(`Status: ${initialResponse.status}`);
+      log.error(`Status Text: ${initialResponse.statusText}`);
+      recorder?.finish("upstream_error");
+      return { response: await standardizeInitialError(ctx, initialResponse) };
+    }
 
-  processStreamAndRetryInternally({
-    initialReader,
+    log.info("=== INITIAL REQUEST SUCCESSFUL - STARTING STREAM PROCESSING ===");
+    initialReader = initialResponse.body?.getReader();
+    if (!initialReader) {
+      log.error("Initial response body is missing despite 200 status");
+      return { response: jsonError(502, "Bad Gateway", "Upstream returned a success code but the response body is missing.") };
+    }
+  }
+
+  const { readable, writable } = new TransformStream();
+  const clientWriter = capture ? detachableWriter(writable.getWriter(), capture.leave) : writable.getWriter();
+  const writer = recorder ? recorder.tapWriter(clientWriter) : clientWriter;
+
+  // A client disconnect shows up as the request signal aborting, the response stream being cancelled (which
+  // errors the writer) or a failed write. Any of them aborts the session; a captured session's writer reports
+  // them to the response cache instead, which aborts the signal once the last reader has gone.
+  const sessionController = new AbortController();
+  const abortSession = (reason) => { if (!sessionController.signal.aborted) sessionController.abort(reason); };
+  const onAbort = () => abortSession(capture ? signal.reason : new Error("Client request aborted"));
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+  if (!capture) writer.closed.catch(e => abortSession(e || new Error("Client stream cancelled")));
+
+  const processing = processStreamAndRetryInternally({
+    ctx,
+    initialReader: recorder && initialReader ? recorder.tapReader(initialReader) : initialReader,
+    initialFailure: initialReader ? null : "STALL",
     writer,
     originalRequestBody,
     upstreamUrl,
-    originalHeaders: request.headers
+    originalHeaders: headers,
+    sentinel,
+    format,
+    signal: sessionController.signal,
+    onWriteError: (e) => abortSession(e),
+    statusEvents,
+    recorder,
+    capture
   }).catch(e => {
-    logError("=== UNHANDLED EXCEPTION IN STREAM PROCESSOR ===");
-    logError("Exception:", e.message);
-    logError("Stack:", e.stack);
+    recorder?.finish("exception");
+    capture?.finish("exception");
+    log.error("=== UNHANDLED EXCEPTION IN STREAM PROCESSOR ===");
+    log.error("Exception:", e.message);
+    log.error("Stack:", e.stack);
     try { writer.close(); } catch (_) {}
   });
+  // Workers stop work once the response is done; a captured session may outlive a client that left early.
+  if (capture) ctx.scope.waitUntil?.(processing);
+
+  return { readable };
+}
+
+async function handleStreamingPost(ctx, request) {
+  const { config, log } = ctx;
+  const urlObj = new URL(request.url);
+  const upstreamUrl = `${config.upstream_url_base}${urlObj.pathname}${upstreamSearch(urlObj)}`;
+
+  log.info(`=== NEW STREAMING REQUEST ===`);
+  log.info(`Upstream URL: ${upstreamUrl}`);
+  log.info(`Request method: ${request.method}`);
+  log.info(`Content-Type: ${request.headers.get("content-type")}`);
+
+  // Without alt=sse, streamGenerateContent answers with a chunked JSON array instead of SSE.
+  const format = urlObj.searchParams.get("alt") === "sse" ? "sse" : "json";
+  log.info(`Stream format: ${format}`);
+
+  const parsed = await readJsonBody(ctx, request);
+  if (parsed.response) return parsed.response;
+
+  const session = await startCachedStreamSession(ctx, request, {
+    body: parsed.body,
+    headers: request.headers,
+    upstreamUrl,
+    format,
+    signal: request.signal,
+    statusEvents: format === "sse" && config.status_events
+  });
+  if (session.response) return session.response;
 
-  logInfo("Returning streaming response to client");
-  return new Response(readable, {
+  log.info("Returning streaming response to client");
+  return new Response(session.readable, {
     status: 200,
     headers: {
-      "Content-Type": "text/event-stream; charset=utf-8",
+      "Content-Type": format === "sse" ? "text/event-stream; charset=utf-8" : "application/json; charset=utf-8",
       "Cache-Control": "no-cache",
       "Connection": "keep-alive",
-      "Access-Control-Allow-Origin": "*"
+      "Access-Control-Allow-Origin": "*",
+      ...responseCacheHeaders(session)
     }
   });
 }
 
-async function handleNonStreaming(request) {
-  const url = new URL(request.url);
-  const upstreamUrl = `${CONFIG.upstream_url_base}${url.pathname}${url.search}`;
+/**
+ * Merges the streamed GenerateContentResponse chunks of one candidate into a single GenerateContentResponse.
+ * Parts are concatenated in order, while finishReason, usageMetadata and the other per-response fields come
+ * from the last chunk that carried them.
+ * @param {object[]} chunks Parsed `data:` payloads in the order they were streamed.
+ * @param {boolean} [includeMetadata=false] Keep the proxy's `antiblock` session metadata, for a client that opted
+ *   in; otherwise the response does not reveal that it was stitched from several attempts.
+ * @returns {object} The merged GenerateContentResponse.
+ */
+function mergeStreamChunks(chunks, includeMetadata = false) {
+  const candidate = { content: { role: "model", parts: [] }, index: 0 };
+  const merged = { candidates: [candidate] };
+  const citationSources = [];
+
+  for (const chunk of chunks) {
+    const cand = chunk?.candidates?.[0];
+    if (cand) {
+      for (const part of cand.content?.parts || []) appendMergedPart(candidate.content.parts, part);
+      if (cand.content?.role) candidate.content.role = cand.content.role;
+      if (cand.finishReason) candidate.finishReason = cand.finishReason;
+      if (cand.finishMessage) candidate.finishMessage = cand.finishMessage;
+      if (cand.safetyRatings) candidate.safetyRatings = cand.safetyRatings;
+      if (cand.groundingMetadata) candidate.groundingMetadata = cand.groundingMetadata;
+      if (cand.urlContextMetadata) candidate.urlContextMetadata = cand.urlContextMetadata;
+      if (cand.citationMetadata?.citationSources) citationSources.push(...cand.citationMetadata.citationSources);
+    }
+    if (chunk?.promptFeedback) merged.promptFeedback = chunk.promptFeedback;
+    if (chunk?.usageMetadata) merged.usageMetadata = chunk.usageMetadata;
+    if (chunk?.modelVersion) merged.modelVersion = chunk.modelVersion;
+    if (chunk?.responseId) merged.responseId = chunk.responseId;
+    if (includeMetadata && chunk?.antiblock) merged.antiblock = chunk.antiblock;
+  }
 
-  const upstreamReq = new Request(upstreamUrl, {
-    method: request.method,
-    headers: buildUpstreamHeaders(request.headers),
-    body: (request.method === "GET" || request.method === "HEAD") ? undefined : request.body
+  if (citationSources.length) candidate.citationMetadata = { citationSources };
+  return merged;
+}
+
+/**
+ * Drains the SSE stream produced by the retry engine.
+ * @param {ReadableStream} readable The engine output.
+ * @returns {Promise<{chunks: object[], error: object|null}>} The parsed data payloads, and the error payload
+ *   if the engine gave up with an `event: error`.
+ */
+async function collectSSEStream(readable, log) {
+  const chunks = [];
+  let error = null;
+  let pendingEvent = null;
+  for await (const line of sseLineIterator(readable.getReader(), log)) {
+    if (line.startsWith("event: ")) {
+      pendingEvent = line.slice(7).trim();
+      continue;
+    }
+    if (!isDataLine(line)) continue;
+    try {
+      const payload = JSON.parse(line.slice(6));
+      if (pendingEvent === "error") error = payload;
+      else if (!pendingEvent) chunks.push(payload);
+    } catch (e) {
+      log.debug(`Failed to parse collected SSE line: ${e.message}`);
+    }
+    pendingEvent = null;
+  }
+  return { chunks, error };
+}
+
+/**
+ * Handles `:generateContent` by running it as `:streamGenerateContent?alt=sse` through the retry engine
+ * and answering with one merged GenerateContentResponse, so non-streaming callers get the same protection.
+ */
+async function handleNonStreamingGenerate(ctx, request) {
+  const { config, log } = ctx;
+  const urlObj = new URL(request.url);
+  const streamPath = urlObj.pathname.replace(/:generateContent$/, ":streamGenerateContent");
+  const streamParams = new URLSearchParams(upstreamSearch(urlObj));
+  streamParams.set("alt", "sse");
+  const upstreamUrl = `${config.upstream_url_base}${streamPath}?${streamParams.toString()}`;
+
+  log.info(`=== NEW NON-STREAMING GENERATE REQUEST ===`);
+  log.info(`Upstream URL (streamed internally): ${upstreamUrl}`);
+
+  const parsed = await readJsonBody(ctx, request);
+  if (parsed.response) return parsed.response;
+
+  const session = await startCachedStreamSession(ctx, request, { body: parsed.body, headers: request.headers, upstreamUrl, signal: request.signal });
+  if (session.response) return session.response;
+
+  const { chunks, error } = await collectSSEStream(session.readable, log);
+  if (error) {
+    const code = typeof error?.error?.code === "number" ? error.error.code : 500;
+    log.error(`Non-streaming session ended with error ${code}`);
+    return new Response(JSON.stringify(error), {
+      status: code,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
+    });
+  }
+
+  log.info(`Merging ${chunks.length} streamed chunks into a single response`);
+  return new Response(JSON.stringify(mergeStreamChunks(chunks, config.status_events)), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*", ...responseCacheHeaders(session) },
+  });
+}
+
+const OPENAI_FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  BLOCKLIST: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  SPII: "content_filter",
+  IMAGE_SAFETY: "content_filter",
+};
+
+const randomId = (prefix) => `${prefix}${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`;
+
+/**
+ * Converts an OpenAI message `content` (a string or an array of content parts) into Gemini parts.
+ */
+function openAIContentToParts(content) {
+  if (content == null) return [];
+  if (typeof content === "string") return content ? [{ text: content }] : [];
+  const parts = [];
+  for (const item of content) {
+    if (item.type === "text") {
+      parts.push({ text: item.text });
+    } else if (item.type === "image_url") {
+      const url = typeof item.image_url === "string" ? item.image_url : item.image_url?.url;
+      const match = /^data:([^;,]+);base64,(.*)$/.exec(url || "");
+      if (match) parts.push({ inlineData: { mimeType: match[1], data: match[2] } });
+      else if (url) parts.push({ fileData: { fileUri: url } });
+    } else if (item.type === "input_audio" && item.input_audio) {
+      parts.push({ inlineData: { mimeType: `audio/${item.input_audio.format || "wav"}`, data: item.input_audio.data } });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Strips JSON Schema keywords that Gemini function declarations reject.
+ */
+function sanitizeFunctionSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(sanitizeFunctionSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "$schema" || k === "additionalProperties" || k === "strict") continue;
+    out[k] = sanitizeFunctionSchema(v);
+  }
+  return out;
+}
+
+const parseToolArguments = (args) => {
+  if (args && typeof args === "object") return args;
+  try { return JSON.parse(args || "{}"); } catch (_) { return { arguments: args }; }
+};
+
+/**
+ * Translates an OpenAI ChatCompletion request into a Gemini GenerateContentRequest.
+ * @param {object} req The OpenAI request body.
+ * @returns {object} The Gemini request body.
+ */
+function openAIRequestToGemini(req) {
+  const systemParts = [];
+  const contents = [];
+  const toolNamesById = new Map();
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+
+  for (const msg of req.messages || []) {
+    if (msg.role === "system" || msg.role === "developer") {
+      systemParts.push(...openAIContentToParts(msg.content));
+    } else if (msg.role === "assistant") {
+      const parts = openAIContentToParts(msg.content);
+      for (const call of msg.tool_calls || []) {
+        toolNamesById.set(call.id, call.function?.name);
+        parts.push({ functionCall: { name: call.function?.name, args: parseToolArguments(call.function?.arguments) } });
+      }
+      push("model", parts);
+    } else if (msg.role === "tool" || msg.role === "function") {
+      const name = msg.name || toolNamesById.get(msg.tool_call_id) || "unknown";
+      const text = typeof msg.content === "string" ? msg.content : openAIContentToParts(msg.content).map(p => p.text || "").join("");
+      let response;
+      try {
+        const parsed = JSON.parse(text);
+        response = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : { content: parsed };
+      } catch (_) {
+        response = { content: text };
+      }
+      push("user", [{ functionResponse: { name, response } }]);
+    } else {
+      push("user", openAIContentToParts(msg.content));
+    }
+  }
+
+  const body = { contents };
+  if (systemParts.length) body.systemInstruction = { parts: systemParts };
+
+  const generationConfig = {};
+  if (typeof req.temperature === "number") generationConfig.temperature = req.temperature;
+  if (typeof req.top_p === "number") generationConfig.topP = req.top_p;
+  const maxTokens = req.max_completion_tokens ?? req.max_tokens;
+  if (typeof maxTokens === "number") generationConfig.maxOutputTokens = maxTokens;
+  if (req.stop != null) generationConfig.stopSequences = Array.isArray(req.stop) ? req.stop : [req.stop];
+  if (typeof req.presence_penalty === "number") generationConfig.presencePenalty = req.presence_penalty;
+  if (typeof req.frequency_penalty === "number") generationConfig.frequencyPenalty = req.frequency_penalty;
+  if (typeof req.seed === "number") generationConfig.seed = req.seed;
+  if (Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+
+  const functionDeclarations = (req.tools || [])
+    .filter(t => t.type === "function" && t.function)
+    .map(t => ({
+      name: t.function.name,
+      ...(t.function.description ? { description: t.function.description } : {}),
+      ...(t.function.parameters ? { parameters: sanitizeFunctionSchema(t.function.parameters) } : {}),
+    }));
+  if (functionDeclarations.length) body.tools = [{ functionDeclarations }];
+
+  const choice = req.tool_choice;
+  if (choice === "none") body.toolConfig = { functionCallingConfig: { mode: "NONE" } };
+  else if (choice === "auto") body.toolConfig = { functionCallingConfig: { mode: "AUTO" } };
+  else if (choice === "required") body.toolConfig = { functionCallingConfig: { mode: "ANY" } };
+  else if (choice?.type === "function" && choice.function?.name) {
+    body.toolConfig = { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [choice.function.name] } };
+  }
+
+  return body;
+}
+
+const geminiUsageToOpenAI = (usage) => usage ? {
+  prompt_tokens: usage.promptTokenCount || 0,
+  completion_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+  total_tokens: usage.totalTokenCount || 0,
+} : undefined;
+
+/**
+ * Splits the non-thought parts of a Gemini candidate into OpenAI text content and tool calls.
+ */
+function geminiPartsToOpenAI(parts) {
+  let content = "";
+  const toolCalls = [];
+  for (const part of parts || []) {
+    if (part.thought === true) continue;
+    if (typeof part.text === "string") content += part.text;
+    if (part.functionCall) {
+      toolCalls.push({
+        id: randomId("call_"),
+        type: "function",
+        function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) },
+      });
+    }
+  }
+  return { content, toolCalls };
+}
+
+/**
+ * Maps a Gemini-style error payload (as produced by `standardizeInitialError`) to the OpenAI error shape.
+ */
+function geminiErrorToOpenAI(payload, fallbackStatus) {
+  const err = payload?.error || {};
+  const code = typeof err.code === "number" ? err.code : fallbackStatus;
+  let type = "api_error";
+  if (code === 400) type = "invalid_request_error";
+  else if (code === 401) type = "authentication_error";
+  else if (code === 403) type = "permission_error";
+  else if (code === 404) type = "not_found_error";
+  else if (code === 429) type = "rate_limit_error";
+  return { error: { message: err.message || "Request failed", type, param: null, code: err.status || statusToGoogleStatus(code) } };
+}
+
+async function openAIErrorResponse(geminiErrorResponse) {
+  let payload = null;
+  try { payload = await geminiErrorResponse.json(); } catch (_) {}
+  const headers = new Headers({ "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" });
+  const retryAfter = geminiErrorResponse.headers.get("Retry-After");
+  if (retryAfter) headers.set("Retry-After", retryAfter);
+  return new Response(JSON.stringify(geminiErrorToOpenAI(payload, geminiErrorResponse.status)), {
+    status: geminiErrorResponse.status,
+    headers,
+  });
+}
+
+/**
+ * OpenAI clients authenticate with `Authorization: Bearer <key>`; Gemini expects that key in `x-goog-api-key`.
+ */
+function openAIHeadersToGemini(reqHeaders) {
+  const h = new Headers(reqHeaders);
+  const auth = h.get("authorization");
+  if (auth && /^bearer\s+/i.test(auth) && !h.get("x-goog-api-key")) {
+    h.set("x-goog-api-key", auth.replace(/^bearer\s+/i, "").trim());
+  }
+  h.delete("authorization");
+  h.set("content-type", "application/json");
+  return h;
+}
+
+/**
+ * Re-encodes the Gemini SSE produced by the retry engine as OpenAI `chat.completion.chunk` events.
+ */
+async function pipeGeminiSSEToOpenAI(readable, writer, { id, model, created, includeUsage, log }) {
+  const send = (obj) => writer.write(SSE_ENCODER.encode(`data: ${JSON.stringify(obj)}\n\n`));
+  const chunkOf = (delta, finishReason = null) => ({
+    id, object: "chat.completion.chunk", created, model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+
+  let roleSent = false;
+  let toolCallIndex = 0;
+  let usage = null;
+  let pendingEvent = null;
+  // If the client goes away, cancel the engine output so the session notices and stops retrying.
+  const reader = readable.getReader();
+  writer.closed.catch(e => reader.cancel(e).catch(() => {}));
+  try {
+    for await (const line of sseLineIterator(reader, log)) {
+      if (line.startsWith("event: ")) {
+        pendingEvent = line.slice(7).trim();
+        continue;
+      }
+      if (!isDataLine(line)) continue;
+      let payload;
+      try { payload = JSON.parse(line.slice(6)); } catch (_) { continue; }
+      if (pendingEvent === "error") {
+        pendingEvent = null;
+        await send(geminiErrorToOpenAI(payload, 500));
+        continue;
+      }
+      pendingEvent = null;
+
+      const cand = payload?.candidates?.[0];
+      const { content, toolCalls } = geminiPartsToOpenAI(cand?.content?.parts);
+      const delta = {};
+      if (!roleSent) { delta.role = "assistant"; roleSent = true; }
+      if (content) delta.content = content;
+      if (toolCalls.length) delta.tool_calls = toolCalls.map(call => ({ index: toolCallIndex++, ...call }));
+      if (payload.usageMetadata) usage = payload.usageMetadata;
+
+      let finishReason = null;
+      if (cand?.finishReason) {
+        finishReason = toolCallIndex > 0 && cand.finishReason === "STOP" ? "tool_calls" : (OPENAI_FINISH_REASONS[cand.finishReason] || "stop");
+      }
+      if (Object.keys(delta).length || finishReason) await send(chunkOf(delta, finishReason));
+    }
+    if (includeUsage) {
+      await send({ id, object: "chat.completion.chunk", created, model, choices: [], usage: geminiUsageToOpenAI(usage) || null });
+    }
+    await writer.write(SSE_ENCODER.encode("data: [DONE]\n\n"));
+  } catch (e) {
+    reader.cancel(e).catch(() => {});
+    throw e;
+  } finally {
+    try { await writer.close(); } catch (_) {}
+  }
+}
+
+/**
+ * Handles `POST /v1/chat/completions` by translating the request to Gemini `streamGenerateContent`
+ * and running it through the same retry engine as native Gemini requests.
+ */
+async function handleOpenAIChatCompletions(ctx, request) {
+  const parsed = await readJsonBody(ctx, request);
+  if (parsed.response) return openAIErrorResponse(parsed.response);
+  const openAIRequest = parsed.body;
+
+  if (!openAIRequest.model || !Array.isArray(openAIRequest.messages)) {
+    return openAIErrorResponse(jsonError(400, "Request must include `model` and `messages`."));
+  }
+
+  const model = String(openAIRequest.model).replace(/^models\//, "");
+  // The model is only known from the body here, so model policies are applied now.
+  ctx.scope.metrics.model = model;
+  ctx = createRequestContext(ctx.env, request, model, ctx.scope);
+  const { config, log } = ctx;
+  const upstreamUrl = `${config.upstream_url_base}/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+  const stream = openAIRequest.stream === true;
+
+  log.info(`=== NEW OPENAI CHAT COMPLETIONS REQUEST ===`);
+  log.info(`Model: ${model}, stream: ${stream}`);
+  log.info(`Upstream URL: ${upstreamUrl}`);
+
+  const session = await startStreamSession(ctx, {
+    body: openAIRequestToGemini(openAIRequest),
+    headers: openAIHeadersToGemini(request.headers),
+    upstreamUrl,
+    signal: request.signal,
   });
+  if (session.response) return openAIErrorResponse(session.response);
+
+  const id = randomId("chatcmpl-");
+  const created = Math.floor(Date.now() / 1000);
+
+  if (stream) {
+    const { readable, writable } = new TransformStream();
+    pipeGeminiSSEToOpenAI(session.readable, writable.getWriter(), {
+      id, model, created, includeUsage: openAIRequest.stream_options?.include_usage === true, log,
+    }).catch(e => log.error("OpenAI stream translation failed:", e.message));
+    return new Response(readable, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "Access-Control-Allow-Origin": "*"
+      }
+    });
+  }
+
+  const { chunks, error } = await collectSSEStream(session.readable, log);
+  if (error) {
+    const status = typeof error?.error?.code === "number" ? error.error.code : 500;
+    return new Response(JSON.stringify(geminiErrorToOpenAI(error, status)), {
+      status,
+      headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
+    });
+  }
+
+  const merged = mergeStreamChunks(chunks);
+  const cand = merged.candidates[0];
+  const { content, toolCalls } = geminiPartsToOpenAI(cand.content.parts);
+  const message = { role: "assistant", content: content || (toolCalls.length ? null : "") };
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  const finishReason = toolCalls.length && cand.finishReason === "STOP" ? "tool_calls" : (OPENAI_FINISH_REASONS[cand.finishReason] || "stop");
+
+  return new Response(JSON.stringify({
+    id, object: "chat.completion", created, model,
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage: geminiUsageToOpenAI(merged.usageMetadata),
+  }), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
+  });
+}
+
+/**
+ * Handles `GET /v1/models` by listing upstream Gemini models in the OpenAI model-list format.
+ */
+async function handleOpenAIModels(ctx, request) {
+  const { config } = ctx;
+  const upstreamUrl = `${config.upstream_url_base}/v1beta/models?pageSize=1000`;
+  const resp = await fetchUpstream(ctx, upstreamUrl, { method: "GET" }, openAIHeadersToGemini(request.headers));
+  if (!resp.ok) return openAIErrorResponse(await standardizeInitialError(ctx, resp));
+
+  const { models = [] } = await resp.json();
+  const data = models
+    .filter(m => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes("generateContent"))
+    .map(m => ({ id: m.name.replace(/^models\//, ""), object: "model", created: 0, owned_by: "google" }));
+  return new Response(JSON.stringify({ object: "list", data }), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
+  });
+}
 
-  const resp = await fetch(upstreamReq);
-  if (!resp.ok) return await standardizeInitialError(resp);
+async function handleNonStreaming(ctx, request) {
+  const { config } = ctx;
+  const url = new URL(request.url);
+  const upstreamUrl = `${config.upstream_url_base}${url.pathname}${upstreamSearch(url)}`;
+
+  const hasBody = request.method !== "GET" && request.method !== "HEAD";
+  const resp = await fetchUpstream(ctx, upstreamUrl, {
+    method: request.method,
+    // Buffered so the body can be re-sent if a pooled key fails over.
+    body: hasBody ? await request.arrayBuffer() : undefined
+  }, request.headers);
+  if (!resp.ok) return await standardizeInitialError(ctx, resp);
 
   const headers = new Headers(resp.headers);
   headers.set("Access-Control-Allow-Origin", "*");
   return new Response(resp.body, { status: resp.status, statusText: resp.statusText, headers });
 }
 
-export default {
-  async fetch(request, env) {
-    try {
-      // 从环境变量更新配置
-      // 在Docker环境中，环境变量在process.env中
-      // 在Cloudflare Workers环境中，环境变量在env参数中
-      const environment = typeof process !== 'undefined' && process.env ? process.env : env;
-      updateConfigFromEnv(environment);
+/**
+ * Returns a copy of the response with its `X-Request-Id` header set; upstream responses have immutable headers.
+ */
+function withRequestId(response, requestId) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Request-Id", requestId);
+  const exposed = headers.get("Access-Control-Expose-Headers");
+  headers.set("Access-Control-Expose-Headers", exposed ? `${exposed}, X-Request-Id` : "X-Request-Id");
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
 
-      logInfo(`=== WORKER REQUEST ===`);
-      logInfo(`Method: ${request.method}`);
-      logInfo(`URL: ${request.url}`);
-      logInfo(`User-Agent: ${request.headers.get("user-agent") || "unknown"}`);
-      logInfo(`CF-Connecting-IP: ${request.headers.get("cf-connecting-ip") || "unknown"}`);
+/**
+ * Dispatches a request to its handler, recording the route it took in the request's metric labels, and the
+ * model once the client is authenticated.
+ */
+async function routeRequest(ctx, request) {
+  const { log } = ctx;
+  const url = new URL(request.url);
+  const route = (name) => { ctx.scope.metrics.route = name; };
 
-      if (request.method === "OPTIONS") {
-        logDebug("Handling CORS preflight request");
-        return handleOPTIONS();
-      }
+  if (request.method === "OPTIONS") {
+    route("options");
+    log.debug("Handling CORS preflight request");
+    return handleOPTIONS();
+  }
 
-      const url = new URL(request.url);
-      const alt = url.searchParams.get("alt");
-      const isStream = /stream|sse/i.test(url.pathname) || alt === "sse";
-      logInfo(`Detected streaming request: ${isStream}`);
+  // Scrapers authenticate with METRICS_TOKEN, not with the proxy's client tokens.
+  if (request.method === "GET" && url.pathname === "/metrics") {
+    route("metrics");
+    return handleMetrics(ctx, request);
+  }
 
-      if (request.method === "POST" && isStream) {
-        return await handleStreamingPost(request);
-      }
+  // Replays are authorized by REPLAY_TOKEN and never reach upstream.
+  if (request.method === "POST" && url.pathname === "/replay") {
+    route("replay");
+    return await handleReplay(ctx, request);
+  }
 
-      return await handleNonStreaming(request);
+  const authError = authenticateClient(ctx, request);
+  if (authError) return authError;
+  ctx.scope.metrics.model = modelFromUrl(request.url) || "";
+
+  if (request.method === "POST" && url.pathname === "/v1/chat/completions") {
+    route("openai_chat");
+    return await handleOpenAIChatCompletions(ctx, request);
+  }
+  if (request.method === "GET" && url.pathname === "/v1/models") {
+    route("openai_models");
+    return await handleOpenAIModels(ctx, request);
+  }
+
+  const alt = url.searchParams.get("alt");
+  const isStream = /stream|sse/i.test(url.pathname) || alt === "sse";
+  log.info(`Detected streaming request: ${isStream}`);
+
+  if (request.method === "POST" && isStream) {
+    route("stream");
+    return await handleStreamingPost(ctx, request);
+  }
+
+  if (request.method === "POST" && url.pathname.endsWith(":generateContent")) {
+    route("generate");
+    return await handleNonStreamingGenerate(ctx, request);
+  }
+
+  route("passthrough");
+  return await handleNonStreaming(ctx, request);
+}
+
+export default {
+  async fetch(request, env, executionCtx) {
+    const requestId = requestIdFor(request);
+    const waitUntil = executionCtx && typeof executionCtx.waitUntil === "function" ? executionCtx.waitUntil.bind(executionCtx) : undefined;
+    // The model label is only filled in once the client is authenticated (see routeRequest).
+    const scope = { id: requestId, metrics: { route: "unknown", model: "" }, waitUntil };
+    let log = createLogger(DEFAULT_CONFIG, [{ request_id: requestId, attempt: 1 }]);
+    let response;
+    try {
+      // 每个请求独立解析配置
+      // Cloudflare Workers 和 Node 服务器 (server.js) 都通过 env 参数传入环境变量
+      // 只有调用方没有传入 env 时，才回退到 process.env
+      const environment = env || (typeof process !== 'undefined' && process.env ? process.env : {});
+      const ctx = createRequestContext(environment, request, modelFromUrl(request.url), scope);
+      log = ctx.log;
+
+      log.info(`=== WORKER REQUEST ===`);
+      log.info(`Method: ${request.method}`);
+      log.info(`URL: ${request.url}`);
+      log.info(`User-Agent: ${request.headers.get("user-agent") || "unknown"}`);
+      log.info(`CF-Connecting-IP: ${request.headers.get("cf-connecting-ip") || "unknown"}`);
+
+      response = await routeRequest(ctx, request);
 
     } catch (e) {
-      logError("=== TOP-LEVEL EXCEPTION ===");
-      logError("Message:", e.message);
-      logError("Stack:", e.stack);
-      return jsonError(500, "Internal Server Error", "The proxy worker encountered a critical, unrecoverable error.");
+      log.error("=== TOP-LEVEL EXCEPTION ===");
+      log.error("Message:", e.message);
+      log.error("Stack:", e.stack);
+      response = jsonError(500, "Internal Server Error", "The proxy worker encountered a critical, unrecoverable error.");
     }
+    metricsRegistry.inc("antiblock_requests_total", { route: scope.metrics.route, model: scope.metrics.model, status: response.status });
+    return withRequestId(response, requestId);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Standalone Node.js runtime for the proxy: serves the Worker's `fetch` handler (index.js) with
+ * `node:http`, so the same code runs on Cloudflare Workers and in a plain Node process or container.
+ *
+ * Configuration comes from environment variables and an optional config file (`CONFIG_FILE` or `--config`):
+ * a JSON object of variables, or a `wrangler.toml` whose `[vars]` are used. `./wrangler.toml` is read when no
+ * file is given. Environment variables take precedence over the file.
+ *
+ * `GET /healthz` reports that the process is alive, `GET /readyz` whether it accepts traffic. On SIGTERM or
+ * SIGINT the server turns new requests away with 503, reports not ready, and waits up to `SHUTDOWN_TIMEOUT_MS` for
+ * active requests (including streaming sessions) to finish before exiting.
+ */
+
+import http from "node:http";
+import { readFileSync, existsSync } from "node:fs";
+import { Readable } from "node:stream";
+import worker from "./index.js";
+
+/**
+ * Reads the `[vars]` table of a wrangler.toml. Only single-line `KEY = value` entries are supported.
+ */
+function parseWranglerVars(text) {
+  const vars = {};
+  let inVars = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    if (line.startsWith("[")) {
+      inVars = line === "[vars]";
+      continue;
+    }
+    const match = inVars && /^([A-Za-z0-9_]+)\s*=\s*(.+)$/.exec(line);
+    if (!match) continue;
+    const value = match[2].trim();
+    if (/^"(.*)"$/.test(value)) vars[match[1]] = JSON.parse(value);
+    else if (/^'(.*)'$/.test(value)) vars[match[1]] = value.slice(1, -1);
+    else vars[match[1]] = value;
+  }
+  return vars;
+}
+
+function loadConfigFile(path) {
+  if (!path) return {};
+  const text = readFileSync(path, "utf8");
+  const vars = path.endsWith(".json") ? JSON.parse(text) : parseWranglerVars(text);
+  // Worker vars are strings; JSON files may use numbers, booleans, arrays or objects.
+  return Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, typeof value === "string" ? value : JSON.stringify(value)]));
+}
+
+const configArg = process.argv.indexOf("--config");
+const configFile = configArg !== -1 ? process.argv[configArg + 1] : process.env.CONFIG_FILE || (existsSync("./wrangler.toml") ? "./wrangler.toml" : null);
+const env = { ...loadConfigFile(configFile), ...process.env };
+
+const PORT = parseInt(env.PORT || "8080");
+const HOST = env.HOST || "0.0.0.0";
+const SHUTDOWN_TIMEOUT_MS = parseInt(env.SHUTDOWN_TIMEOUT_MS || "60000");
+
+const log = (level, msg, fields = {}) => {
+  const ts = new Date().toISOString();
+  const write = level === "error" ? console.error : console.log;
+  if (env.LOG_FORMAT === "text") write(`[${level.toUpperCase()} ${ts}] ${msg}`);
+  else write(JSON.stringify({ ts, level, component: "server", msg, ...fields }));
+};
+
+let draining = false;
+const activeRequests = new Set(); // Requests whose response has not been fully sent yet.
+const backgroundTasks = new Set(); // Promises handed to waitUntil, e.g. log sink deliveries and recordings.
+
+const executionCtx = {
+  waitUntil(promise) {
+    const task = Promise.resolve(promise).catch(() => {});
+    backgroundTasks.add(task);
+    task.finally(() => backgroundTasks.delete(task));
+  },
+  passThroughOnException() {},
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Converts a Node request into a Fetch API Request. The request's signal aborts when the client disconnects
+ * before the response is complete, which cancels the streaming session the same way a Worker would.
+ */
+function toFetchRequest(req, res) {
+  const controller = new AbortController();
+  res.on("close", () => { if (!res.writableFinished) controller.abort(new Error("Client disconnected")); });
+
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (name.startsWith(":")) continue;
+    if (Array.isArray(value)) value.forEach(v => headers.append(name, v));
+    else if (value !== undefined) headers.set(name, value);
+  }
+  const protocol = req.socket.encrypted || req.headers["x-forwarded-proto"] === "https" ? "https" : "http";
+  const hasBody = req.method !== "GET" && req.method !== "HEAD";
+  return new Request(`${protocol}://${req.headers.host || `localhost:${PORT}`}${req.url}`, {
+    method: req.method,
+    headers,
+    body: hasBody ? Readable.toWeb(req) : undefined,
+    duplex: hasBody ? "half" : undefined,
+    signal: controller.signal,
+  });
+}
+
+/**
+ * Writes a Fetch API Response to the Node response, streaming the body chunk by chunk (with backpressure) so
+ * SSE output reaches the client as it is produced.
+ */
+async function writeFetchResponse(response, res) {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (name === "set-cookie") return;
+    headers[name] = value;
+  });
+  const cookies = response.headers.getSetCookie?.() || [];
+  if (cookies.length) headers["set-cookie"] = cookies;
+  if (draining) headers["connection"] = "close";
+  res.writeHead(response.status, response.statusText || undefined, headers);
+  res.flushHeaders();
+
+  if (!response.body) return res.end();
+  const reader = response.body.getReader();
+  res.on("close", () => { if (!res.writableFinished) reader.cancel().catch(() => {}); });
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (!res.write(value)) await new Promise(resolve => res.once("drain", resolve).once("close", resolve));
+      if (res.destroyed) break;
+    }
+  } finally {
+    res.end();
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = (req.url || "/").split("?")[0];
+  if (req.method === "GET" && path === "/healthz") return sendJson(res, 200, { status: "ok" });
+  if (req.method === "GET" && path === "/readyz") {
+    if (draining) return sendJson(res, 503, { status: "draining", active_requests: activeRequests.size });
+    return sendJson(res, 200, { status: "ready", active_requests: activeRequests.size });
+  }
+  if (draining) {
+    res.setHeader("Connection", "close");
+    return sendJson(res, 503, { error: { code: 503, message: "The server is shutting down.", status: "UNAVAILABLE" } });
+  }
+
+  activeRequests.add(res);
+  res.on("close", () => activeRequests.delete(res));
+  try {
+    const response = await worker.fetch(toFetchRequest(req, res), env, executionCtx);
+    await writeFetchResponse(response, res);
+  } catch (e) {
+    log("error", `Unhandled error while serving ${req.method} ${path}: ${e.message}`);
+    if (!res.headersSent) sendJson(res, 500, { error: { code: 500, message: "Internal Server Error", status: "INTERNAL" } });
+    else res.destroy(e);
+  }
+});
+
+/**
+ * Turns new requests away, lets active requests and background tasks finish (up to SHUTDOWN_TIMEOUT_MS),
+ * then exits. A second signal exits immediately.
+ */
+async function shutdown(signal) {
+  if (draining) {
+    log("error", `Received ${signal} again - exiting without waiting`);
+    process.exit(1);
+  }
+  draining = true;
+  log("info", `Received ${signal} - draining ${activeRequests.size} active request(s)`, { timeout_ms: SHUTDOWN_TIMEOUT_MS });
+  // The listener stays open while draining, so /readyz can report 503 and new requests are turned away with 503.
+  server.closeIdleConnections();
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while ((activeRequests.size || backgroundTasks.size) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    server.closeIdleConnections();
+  }
+  if (activeRequests.size) {
+    log("error", `Shutdown timeout reached - closing ${activeRequests.size} active request(s)`);
+    server.closeAllConnections();
+  }
+  server.close();
+  log("info", "Server stopped");
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+server.listen(PORT, HOST, () => {
+  log("info", `Gemini antiblock proxy listening on http://${HOST}:${PORT}`, { config_file: configFile || null });
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, sseDataPayloads, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const PARTIAL = "The recipe starts with";
+const blocked = (finishReason) => () => sseResponse([textChunk(PARTIAL), { candidates: [{ finishReason, index: 0 }] }]);
+const finished = () => sseResponse([textChunk(" flour and water.", "STOP")]);
+
+test("a safety block is retried with relaxed safety settings", async (t) => {
+  const requests = mockUpstream(t, [blocked("SAFETY"), finished]);
+  const response = await streamGenerate();
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), `${PARTIAL} flour and water.`);
+  assert.equal(requests[0].safetySettings, undefined);
+  assert.ok(requests[1].safetySettings.length > 0);
+  assert.ok(requests[1].safetySettings.every(s => s.threshold === "BLOCK_NONE"));
+});
+
+test("a recitation block is retried with the rephrase prompt", async (t) => {
+  const requests = mockUpstream(t, [blocked("RECITATION"), finished]);
+  const response = await streamGenerate({ env: { BLOCK_REPHRASE_PROMPT: "Say it in your own words." } });
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), `${PARTIAL} flour and water.`);
+  assert.deepEqual(requests[1].contents.at(-1), { role: "user", parts: [{ text: "Say it in your own words." }] });
+  assert.equal(requests[1].safetySettings, undefined);
+});
+
+test("give_up ends the session with the partial answer and a block notice", async (t) => {
+  const requests = mockUpstream(t, [blocked("SAFETY")]);
+  const response = await streamGenerate({ env: { BLOCK_RECOVERY: JSON.stringify({ SAFETY: ["give_up"] }) } });
+  const payloads = sseDataPayloads(await response.text());
+
+  assert.equal(requests.length, 1);
+  assert.equal(textOf(payloads), PARTIAL);
+  const last = payloads.at(-1);
+  assert.equal(last.candidates[0].finishReason, "SAFETY");
+  assert.equal(last.antiblock.notice.code, "BLOCKED");
+  assert.equal(last.antiblock.notice.kind, "SAFETY");
+  assert.equal(last.antiblock.notice.partial_text_chars, PARTIAL.length);
+});
+
+test("the n-th block of a kind uses the n-th configured mode", async (t) => {
+  const requests = mockUpstream(t, [blocked("SAFETY"), blocked("SAFETY")]);
+  const response = await streamGenerate({ env: { BLOCK_RECOVERY: JSON.stringify({ SAFETY: ["relax_safety", "give_up"] }) } });
+  const payloads = sseDataPayloads(await response.text());
+
+  assert.equal(requests.length, 2);
+  assert.equal(payloads.at(-1).antiblock.notice.code, "BLOCKED");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, streamGenerate, textChunk } from "./helpers.js";
+
+/**
+ * Starts a session and disconnects its client as soon as a log line matching `trigger` is written, i.e. after the
+ * engine's last abort check but before its next write. Resolves with every log line once the session has ended.
+ */
+async function disconnectOn(t, trigger, env) {
+  const lines = [];
+  let reader = null;
+  const capture = (line) => {
+    lines.push(String(line));
+    if (reader && trigger.test(line)) reader.cancel();
+  };
+  t.mock.method(console, "log", capture);
+  t.mock.method(console, "error", capture);
+  const response = await streamGenerate({ env: { LOG_LEVEL: "info", ...env } });
+  reader = response.body.getReader();
+  while (!(await reader.read().catch(() => ({ done: true }))).done);
+  for (let i = 0; i < 100 && !lines.some(l => /SESSION CLIENT-CANCELLED|UNHANDLED EXCEPTION/.test(l)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return lines;
+}
+
+test("a client that leaves just before the retry-limit error ends the session as cancelled", async (t) => {
+  mockUpstream(t, [() => sseResponse([textChunk("Cut off ")])]);
+  const lines = await disconnectOn(t, /giving up/, { MAX_CONSECUTIVE_RETRIES: "0" });
+
+  assert.ok(lines.some(l => l.includes("SESSION CLIENT-CANCELLED")));
+  assert.ok(!lines.some(l => l.includes("UNHANDLED EXCEPTION")));
+});
+
+test("a client that leaves just before the end of a function-call turn ends the session as cancelled", async (t) => {
+  const call = { candidates: [{ content: { role: "model", parts: [{ functionCall: { name: "lookup", args: {} } }] }, index: 0 }] };
+  mockUpstream(t, [() => sseResponse([call])]);
+  const lines = await disconnectOn(t, /accepting the tool-call turn/);
+
+  assert.ok(lines.some(l => l.includes("SESSION CLIENT-CANCELLED")));
+  assert.ok(!lines.some(l => l.includes("UNHANDLED EXCEPTION")));
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, sseDataPayloads, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const FIRST_ATTEMPT = "The quick brown fox jumps over the lazy dog. Then it";
+
+/** Runs a session whose first stream drops after FIRST_ATTEMPT and whose retry streams the given chunks. */
+async function stitch(t, retryChunks, env = {}) {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("The quick brown fox "), textChunk("jumps over the lazy dog. Then it")]),
+    () => sseResponse(retryChunks),
+  ]);
+  const response = await streamGenerate({ env });
+  const payloads = sseDataPayloads(await response.text());
+  assert.equal(requests.length, 2);
+  return payloads;
+}
+
+test("a repeated head with whitespace and punctuation drift is removed", async (t) => {
+  const payloads = await stitch(t, [
+    textChunk("the quick  brown fox\njumps over the lazy dog, "),
+    textChunk("then it ran away.", "STOP"),
+  ]);
+
+  assert.equal(textOf(payloads), `${FIRST_ATTEMPT} ran away.`);
+});
+
+test("a head that does not repeat the previous text is kept", async (t) => {
+  const payloads = await stitch(t, [
+    textChunk(" chased a rabbit into the woods and was never seen again."),
+    textChunk(" The end.", "STOP"),
+  ], { OVERLAP_HOLDBACK_CHARS: "40" });
+
+  assert.equal(textOf(payloads), `${FIRST_ATTEMPT} chased a rabbit into the woods and was never seen again. The end.`);
+});
+
+test("a head shorter than the holdback is stitched when the stream ends, without empty chunks before it", async (t) => {
+  const payloads = await stitch(t, [
+    textChunk("Over the lazy dog. "),
+    textChunk("Then it "),
+    textChunk("ran away.", "STOP"),
+  ]);
+
+  assert.equal(textOf(payloads), `${FIRST_ATTEMPT} ran away.`);
+  const retried = payloads.slice(2);
+  assert.equal(retried.length, 1);
+  assert.deepEqual(retried[0].candidates[0].content.parts, [{ text: " ran away." }]);
+});
+
+test("a held head is released when the retried stream is interrupted again", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk(FIRST_ATTEMPT)]),
+    () => sseResponse([textChunk("the lazy dog. Then it ran")]),
+    () => sseResponse([textChunk(" away.", "STOP")]),
+  ]);
+  const response = await streamGenerate();
+  const payloads = sseDataPayloads(await response.text());
+
+  assert.equal(textOf(payloads), `${FIRST_ATTEMPT} ran away.`);
+  assert.ok(payloads.every(p => p.candidates[0].content.parts.length), "no chunk without parts is forwarded");
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, sseDataPayloads, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const ENV = { CONTINUATION_STRATEGIES: "user_turn,system_instruction", CONTINUATION_STRATEGY_MAX_FAILURES: "2" };
+const PARTIAL = "Once upon a time";
+
+const strategyOf = (body) => {
+  const last = body.contents[body.contents.length - 1];
+  if (last.role === "user") return "user_turn";
+  return body.systemInstruction ? "system_instruction" : "model_prefill";
+};
+
+test("a strategy that keeps failing without progress falls back to the next one", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk(PARTIAL)]),
+    () => sseResponse([]),
+    () => sseResponse([]),
+    () => sseResponse([textChunk(", there was a fox.", "STOP")]),
+  ]);
+  const response = await streamGenerate({ env: ENV });
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), `${PARTIAL}, there was a fox.`);
+  assert.deepEqual(requests.slice(1).map(strategyOf), ["user_turn", "user_turn", "system_instruction"]);
+  const last = requests[3];
+  assert.deepEqual(last.contents.at(-1), { role: "model", parts: [{ text: PARTIAL }] });
+  assert.match(JSON.stringify(last.systemInstruction), /cut off/);
+});
+
+test("a retry that adds text resets the strategy's failure count", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk(PARTIAL)]),
+    () => sseResponse([]),
+    () => sseResponse([textChunk(", there")]),
+    () => sseResponse([]),
+    () => sseResponse([textChunk(" was a fox.", "STOP")]),
+  ]);
+  const response = await streamGenerate({ env: ENV });
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), `${PARTIAL}, there was a fox.`);
+  assert.deepEqual(requests.slice(1).map(strategyOf), ["user_turn", "user_turn", "user_turn", "user_turn"]);
+});
+
+test("the model_prefill strategy ends the conversation with the partial answer", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk(PARTIAL)]),
+    () => sseResponse([textChunk(", there was a fox.", "STOP")]),
+  ]);
+  await (await streamGenerate({ env: { CONTINUATION_STRATEGIES: "model_prefill" } })).text();
+
+  assert.deepEqual(requests[1].contents.at(-1), { role: "model", parts: [{ text: PARTIAL }] });
+  assert.equal(requests[1].systemInstruction, undefined);
+});
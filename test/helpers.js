@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Shared helpers for the tests: they drive the worker's `fetch` handler against a scripted upstream
+ * that replaces the global `fetch`.
+ */
+
+import worker from "../index.js";
+
+export const TEST_ENV = Object.freeze({
+  UPSTREAM_URL_BASE: "https://upstream.test",
+  RETRY_DELAY_MS: "1",
+  LOG_LEVEL: "error",
+  SENTINEL_MODE: "off",
+});
+
+/**
+ * Replaces the global `fetch` with an upstream that answers each request with the next scripted response.
+ * @param {import("node:test").TestContext} t The test, which restores `fetch` when it ends.
+ * @param {Array<() => Response>} responses One factory per expected upstream request.
+ * @returns {object[]} The parsed bodies of the upstream requests, filled in as they arrive. Its `sent` property
+ *   lists the requests' URLs and headers, as `{ url, headers }`.
+ */
+export function mockUpstream(t, responses) {
+  const requests = [];
+  requests.sent = [];
+  t.mock.method(globalThis, "fetch", async (input, init) => {
+    const request = new Request(input, init);
+    requests.sent.push({ url: request.url, headers: request.headers });
+    requests.push(request.method === "POST" ? await request.json() : null);
+    const next = responses.shift();
+    if (!next) throw new Error(`Unexpected upstream request ${requests.length}`);
+    return next();
+  });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  return requests;
+}
+
+/**
+ * An upstream response whose body arrives in exactly the given pieces.
+ * @param {string[]} pieces The body, split where the network should split it.
+ * @param {string} [contentType]
+ */
+export function streamedResponse(pieces, contentType = "text/event-stream") {
+  const encoder = new TextEncoder();
+  const queue = [...pieces];
+  const body = new ReadableStream({
+    pull(controller) {
+      if (queue.length) controller.enqueue(encoder.encode(queue.shift()));
+      else controller.close();
+    },
+  });
+  return new Response(body, { status: 200, headers: { "Content-Type": contentType } });
+}
+
+/** An SSE upstream response with one `data:` event per chunk. */
+export const sseResponse = (chunks) => streamedResponse(chunks.map(c => `data: ${JSON.stringify(c)}\r\n\r\n`));
+
+/** A streamed GenerateContentResponse chunk holding one text part. */
+export const textChunk = (text, finishReason) => ({
+  candidates: [{ content: { role: "model", parts: [{ text }] }, ...(finishReason ? { finishReason } : {}), index: 0 }],
+});
+
+/**
+ * Sends a `streamGenerateContent` request through the proxy.
+ * @param {object} options
+ * @param {"sse"|"json"} [options.format] The client's stream format.
+ * @param {object} [options.env] Settings on top of TEST_ENV.
+ * @param {object} [options.headers] Extra request headers.
+ * @returns {Promise<Response>}
+ */
+export function streamGenerate({ format = "sse", env = {}, text = "Tell me a story.", headers = {} } = {}) {
+  const query = format === "sse" ? "?alt=sse" : "";
+  const request = new Request(`http://proxy.test/v1beta/models/gemini-2.5-pro:streamGenerateContent${query}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ contents: [{ role: "user", parts: [{ text }] }] }),
+  });
+  return worker.fetch(request, { ...TEST_ENV, ...env });
+}
+
+/**
+ * Sends a non-streaming `generateContent` request through the proxy.
+ * @param {object} [options] As for streamGenerate.
+ * @returns {Promise<Response>}
+ */
+export function generate({ env = {}, text = "Tell me a story.", headers = {} } = {}) {
+  const request = new Request("http://proxy.test/v1beta/models/gemini-2.5-pro:generateContent", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ contents: [{ role: "user", parts: [{ text }] }] }),
+  });
+  return worker.fetch(request, { ...TEST_ENV, ...env });
+}
+
+/** The parsed `data:` payloads of an SSE body. */
+export const sseDataPayloads = (body) => body.split("\n").filter(l => l.startsWith("data: ")).map(l => JSON.parse(l.slice(6)));
+
+/** The non-thought text of a list of GenerateContentResponse chunks. */
+export const textOf = (chunks) => chunks
+  .flatMap(c => c.candidates?.[0]?.content?.parts || [])
+  .filter(p => !p.thought && typeof p.text === "string")
+  .map(p => p.text)
+  .join("");
+
+/** The payloads of the `event: antiblock` status events of an SSE body. */
+export const statusEvents = (body) => body.split(/\r?\n\r?\n/)
+  .filter(block => block.startsWith("event: antiblock"))
+  .map(block => JSON.parse(block.split("\n").find(l => l.startsWith("data: ")).slice(6)));
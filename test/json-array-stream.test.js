@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, streamedResponse, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const element = (chunk) => JSON.stringify(chunk, null, 2);
+
+test("JSON array elements split across network chunks are reassembled", async (t) => {
+  const first = element(textChunk('Braces {like these} and "quotes" '));
+  const second = element(textChunk("stay intact.", "STOP"));
+  const body = `[${first},\r\n${second}]`;
+  const cuts = [3, first.indexOf("{like") + 2, first.length + 5, body.length - 4];
+  const pieces = [0, ...cuts].map((from, i) => body.slice(from, cuts[i] ?? body.length));
+  mockUpstream(t, [() => streamedResponse(pieces, "application/json")]);
+
+  const response = await streamGenerate({ format: "json" });
+  const chunks = JSON.parse(await response.text());
+
+  assert.equal(response.status, 200);
+  assert.equal(chunks.length, 2);
+  assert.equal(textOf(chunks), 'Braces {like these} and "quotes" stay intact.');
+});
+
+test("a malformed JSON array element is dropped instead of breaking the client's array", async (t) => {
+  const body = `[${element(textChunk("Before, "))},\r\n{"candidates": [{"content": oops}]},\r\n${element(textChunk("after.", "STOP"))}]`;
+  mockUpstream(t, [() => streamedResponse([body.slice(0, 40), body.slice(40, 90), body.slice(90)], "application/json")]);
+
+  const response = await streamGenerate({ format: "json" });
+  const text = await response.text();
+
+  const chunks = JSON.parse(text);
+  assert.equal(chunks.length, 2);
+  assert.equal(textOf(chunks), "Before, after.");
+});
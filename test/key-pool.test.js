@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseDataPayloads, sseResponse, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+// Key cooldowns are kept per isolate, so every test uses keys of its own.
+const poolEnv = (...keys) => ({ UPSTREAM_API_KEYS: keys.join(","), PROXY_AUTH_TOKENS: "proxy-token" });
+const AUTH = { "X-Goog-Api-Key": "proxy-token" };
+
+const rateLimited = () => new Response(JSON.stringify({ error: { code: 429, message: "Quota exceeded" } }), {
+  status: 429,
+  headers: { "Content-Type": "application/json", "Retry-After": "60" },
+});
+const answer = (text) => () => sseResponse([textChunk(text, "STOP")]);
+const usedKeys = (requests) => requests.sent.map(r => r.headers.get("x-goog-api-key"));
+
+test("a request without a valid proxy token is rejected", async (t) => {
+  const requests = mockUpstream(t, []);
+  const response = await streamGenerate({ env: poolEnv("pool-a1"), headers: { "X-Goog-Api-Key": "someone-elses-key" } });
+
+  assert.equal(response.status, 401);
+  assert.equal(requests.length, 0);
+});
+
+test("a rate-limited key fails over to the next key within the same request", async (t) => {
+  const requests = mockUpstream(t, [rateLimited, answer("Served by the second key.")]);
+  const response = await streamGenerate({ env: poolEnv("pool-b1", "pool-b2"), headers: AUTH });
+
+  assert.equal(response.status, 200);
+  assert.equal(textOf(sseDataPayloads(await response.text())), "Served by the second key.");
+  assert.deepEqual(usedKeys(requests), ["pool-b1", "pool-b2"]);
+});
+
+test("a key on cooldown is skipped by later requests", async (t) => {
+  const requests = mockUpstream(t, [rateLimited, answer("First."), answer("Second."), answer("Third.")]);
+  const env = poolEnv("pool-c1", "pool-c2");
+  for (let i = 0; i < 3; i++) await (await streamGenerate({ env, headers: AUTH })).text();
+
+  assert.deepEqual(usedKeys(requests), ["pool-c1", "pool-c2", "pool-c2", "pool-c2"]);
+});
+
+test("every key limited ends the request with the upstream 429", async (t) => {
+  mockUpstream(t, [rateLimited, rateLimited]);
+  const response = await streamGenerate({ env: poolEnv("pool-d1", "pool-d2"), headers: AUTH });
+
+  assert.equal(response.status, 429);
+});
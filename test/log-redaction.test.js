@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../index.js";
+import { TEST_ENV, mockUpstream, sseResponse, textChunk } from "./helpers.js";
+
+const API_KEY = `AIza${"x".repeat(35)}`;
+const ANSWER = "The launch code is";
+
+/** Runs an interrupted session with debug logging and returns every line it logged. */
+async function loggedLines(t, env = {}) {
+  mockUpstream(t, [
+    () => sseResponse([textChunk(ANSWER)]),
+    () => sseResponse([textChunk(" 0000.", "STOP")]),
+  ]);
+  // The key is sent in the query string, which the request log line includes.
+  const request = new Request(`http://proxy.test/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse&key=${API_KEY}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Request-Id": "req-42" },
+    body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: "What is the launch code?" }] }] }),
+  });
+  await (await worker.fetch(request, { ...TEST_ENV, LOG_LEVEL: "debug", ...env })).text();
+  return [...console.log.mock.calls, ...console.error.mock.calls].map(call => call.arguments.join(" "));
+}
+
+test("keys and content are redacted and every JSON record carries the request id", async (t) => {
+  const lines = await loggedLines(t);
+
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every(line => !line.includes(API_KEY)), "no line contains the API key");
+  assert.ok(lines.every(line => !line.includes(ANSWER)), "no line contains response text");
+  assert.ok(lines.some(line => line.includes("key=[REDACTED]")));
+  assert.ok(lines.some(line => line.includes(`[redacted ${ANSWER.length} chars]`)));
+  const records = lines.map(line => JSON.parse(line));
+  assert.ok(records.every(record => record.request_id === "req-42" && record.level && record.ts));
+});
+
+test("content is logged when redaction is turned off, keys still are not", async (t) => {
+  const lines = await loggedLines(t, { LOG_REDACT_CONTENT: "false" });
+
+  assert.ok(lines.some(line => line.includes(ANSWER)));
+  assert.ok(lines.every(line => !line.includes(API_KEY)));
+});
+
+test("the text format tags each line with the request id and attempt", async (t) => {
+  const lines = await loggedLines(t, { LOG_FORMAT: "text" });
+
+  assert.ok(lines.every(line => /^\[(DEBUG|INFO|WARN|ERROR) \S+ req-42#\d+\] /.test(line)));
+  assert.ok(lines.some(line => line.includes("req-42#2]")), "the retry is logged as attempt 2");
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../index.js";
+import { TEST_ENV, mockUpstream, sseResponse, streamGenerate, textChunk } from "./helpers.js";
+
+const ENV = { METRICS_TOKEN: "scraper-token" };
+
+const scrape = async (headers = { Authorization: "Bearer scraper-token" }) =>
+  worker.fetch(new Request("http://proxy.test/metrics", { headers }), { ...TEST_ENV, ...ENV });
+
+/** The value of one series in a scrape, 0 when it is not there yet. */
+const valueOf = (text, series) => Number(text.split("\n").find(l => l.startsWith(`${series} `))?.split(" ")[1] || 0);
+
+/** Streams a one-chunk answer for the given model name. */
+const streamModel = async (model) => {
+  const request = new Request(`http://proxy.test/v1beta/models/${model}:streamGenerateContent?alt=sse`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: "Hi." }] }] }),
+  });
+  await (await worker.fetch(request, { ...TEST_ENV, ...ENV })).text();
+};
+
+test("/metrics requires the metrics token", async (t) => {
+  mockUpstream(t, []);
+  assert.equal((await scrape({})).status, 401);
+  assert.equal((await scrape({ Authorization: "Bearer wrong" })).status, 401);
+});
+
+test("/metrics counts sessions, interruptions and retries in the Prometheus text format", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Hello, ")]),
+    () => sseResponse([textChunk("world.", "STOP")]),
+  ]);
+  const before = await (await scrape()).text();
+  await (await streamGenerate({ env: ENV })).text();
+  const response = await scrape();
+  const after = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+  assert.match(after, /^# TYPE antiblock_sessions_total counter$/m);
+  const delta = (series) => valueOf(after, series) - valueOf(before, series);
+  assert.equal(delta('antiblock_requests_total{route="stream",model="gemini-2.5-pro",status="200"}'), 1);
+  assert.equal(delta('antiblock_sessions_total{model="gemini-2.5-pro",outcome="complete"}'), 1);
+  assert.equal(delta('antiblock_interruptions_total{model="gemini-2.5-pro",reason="DROP"}'), 1);
+  assert.equal(delta('antiblock_session_retries_sum{model="gemini-2.5-pro"}'), 1);
+  assert.equal(delta('antiblock_session_retries_bucket{model="gemini-2.5-pro",le="1"}'), 1);
+});
+
+test("malformed model names and names past the label limit are counted as other", async (t) => {
+  const models = ["-not-a-model", ...Array.from({ length: 120 }, (_, i) => `model-${i}`)];
+  mockUpstream(t, models.map(() => () => sseResponse([textChunk("Hi.", "STOP")])));
+  for (const model of models) await streamModel(model);
+  const text = await (await scrape()).text();
+
+  assert.doesNotMatch(text, /model="-not-a-model"/);
+  assert.match(text, /model="model-0"/);
+  assert.doesNotMatch(text, /model="model-119"/);
+  const namedModels = new Set([...text.matchAll(/model="([^"]+)"/g)].map(m => m[1]).filter(m => m !== "other"));
+  assert.equal(namedModels.size, 100);
+  assert.ok(valueOf(text, 'antiblock_sessions_total{model="other",outcome="complete"}') >= 21);
+});
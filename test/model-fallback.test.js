@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseDataPayloads, sseResponse, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const FALLBACK_ENV = {
+  MODEL_FALLBACKS: JSON.stringify({ "gemini-2.5-pro": ["gemini-2.5-flash"] }),
+  MODEL_FALLBACK_AFTER: "1",
+  MODEL_FALLBACK_REASONS: "DROP",
+  CONTINUATION_STRATEGIES: "user_turn",
+};
+
+const lastUserText = (body) => body.contents.filter(c => c.role === "user").at(-1).parts.map(p => p.text).join("");
+
+test("retries move to the fallback model and the answer names every model used", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("Started on pro, ")]),
+    () => sseResponse([textChunk("finished on flash.", "STOP")]),
+  ]);
+  const chunks = sseDataPayloads(await (await streamGenerate({ env: FALLBACK_ENV })).text());
+
+  assert.equal(requests.length, 2);
+  assert.equal(textOf(chunks), "Started on pro, finished on flash.");
+  assert.deepEqual(chunks.at(-1).antiblock.models, [
+    { model: "gemini-2.5-pro", textOffset: 0 },
+    { model: "gemini-2.5-flash", textOffset: "Started on pro, ".length },
+  ]);
+});
+
+test("the fallback model's policy applies to the retries sent to it", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("One ")]),
+    () => sseResponse([textChunk("two ")]),
+    () => sseResponse([textChunk("three.", "STOP")]),
+  ]);
+  const env = {
+    ...FALLBACK_ENV,
+    MODEL_FALLBACK_AFTER: "2",
+    MODEL_POLICIES: JSON.stringify({ "gemini-2.5-flash": { continuation_prompt: "Flash, carry on." } }),
+  };
+  await (await streamGenerate({ env })).text();
+
+  assert.equal(requests.length, 3);
+  assert.notEqual(lastUserText(requests[1]), "Flash, carry on.");
+  assert.equal(lastUserText(requests[2]), "Flash, carry on.");
+});
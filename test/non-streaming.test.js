@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generate, mockUpstream, sseResponse, textChunk } from "./helpers.js";
+
+const interruptedOnce = (t) => mockUpstream(t, [
+  () => sseResponse([textChunk("Stitched from ")]),
+  () => sseResponse([textChunk("two attempts.", "STOP")]),
+]);
+
+test("a merged generateContent response does not reveal the retries behind it", async (t) => {
+  interruptedOnce(t);
+  const response = await generate();
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.candidates[0].content.parts, [{ text: "Stitched from two attempts." }]);
+  assert.equal(body.candidates[0].finishReason, "STOP");
+  assert.equal(body.antiblock, undefined);
+});
+
+test("a generateContent client that opts into status events keeps the session metadata", async (t) => {
+  interruptedOnce(t);
+  const body = await (await generate({ headers: { "X-Antiblock-Events": "on" } })).json();
+
+  assert.equal(body.candidates[0].content.parts[0].text, "Stitched from two attempts.");
+  assert.equal(body.antiblock.usage.attempts.length, 2);
+});
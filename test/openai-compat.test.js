@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../index.js";
+import { TEST_ENV, mockUpstream, sseResponse, textChunk } from "./helpers.js";
+
+function chatCompletion(body) {
+  const request = new Request("http://proxy.test/v1/chat/completions", {
+    method: "POST",
+    headers: { "Authorization": "Bearer client-key", "Content-Type": "application/json" },
+    body: JSON.stringify({ model: "gemini-2.5-pro", ...body }),
+  });
+  return worker.fetch(request, TEST_ENV);
+}
+
+const sseEvents = (body) => body.split("\n").filter(l => l.startsWith("data: ")).map(l => l.slice(6));
+
+test("an OpenAI request is translated to a Gemini request", async (t) => {
+  const requests = mockUpstream(t, [() => sseResponse([textChunk("Sunny.", "STOP")])]);
+  await (await chatCompletion({
+    messages: [
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "Weather in Paris?" },
+      { role: "assistant", content: null, tool_calls: [{ id: "call_1", type: "function", function: { name: "weather", arguments: "{\"city\":\"Paris\"}" } }] },
+      { role: "tool", tool_call_id: "call_1", content: "{\"sky\":\"clear\"}" },
+    ],
+    temperature: 0.2,
+    max_tokens: 100,
+    stop: "END",
+    tools: [{ type: "function", function: { name: "weather", parameters: { type: "object", additionalProperties: false, properties: { city: { type: "string" } } } } }],
+    tool_choice: "required",
+  })).json();
+
+  const [body] = requests;
+  const { url, headers } = requests.sent[0];
+  assert.equal(url, "https://upstream.test/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse");
+  assert.equal(headers.get("x-goog-api-key"), "client-key");
+  assert.deepEqual(body.systemInstruction, { parts: [{ text: "Be brief." }] });
+  assert.deepEqual(body.contents, [
+    { role: "user", parts: [{ text: "Weather in Paris?" }] },
+    { role: "model", parts: [{ functionCall: { name: "weather", args: { city: "Paris" } } }] },
+    { role: "user", parts: [{ functionResponse: { name: "weather", response: { sky: "clear" } } }] },
+  ]);
+  assert.deepEqual(body.generationConfig, { temperature: 0.2, maxOutputTokens: 100, stopSequences: ["END"] });
+  assert.deepEqual(body.tools, [{ functionDeclarations: [{ name: "weather", parameters: { type: "object", properties: { city: { type: "string" } } } }] }]);
+  assert.deepEqual(body.toolConfig, { functionCallingConfig: { mode: "ANY" } });
+});
+
+test("a streamed answer is sent as chat.completion.chunk events across a retry", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Hello, ")]),
+    () => sseResponse([{ ...textChunk("world.", "STOP"), usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 } }]),
+  ]);
+  const response = await chatCompletion({ stream: true, stream_options: { include_usage: true }, messages: [{ role: "user", content: "Hi" }] });
+  const events = sseEvents(await response.text());
+
+  assert.equal(events.at(-1), "[DONE]");
+  const chunks = events.slice(0, -1).map(e => JSON.parse(e));
+  assert.ok(chunks.every(c => c.object === "chat.completion.chunk"));
+  assert.equal(chunks[0].choices[0].delta.role, "assistant");
+  assert.equal(chunks.flatMap(c => c.choices).map(c => c.delta.content || "").join(""), "Hello, world.");
+  assert.equal(chunks.flatMap(c => c.choices).find(c => c.finish_reason).finish_reason, "stop");
+  assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 });
+});
+
+test("a non-streaming function call is returned as tool_calls", async (t) => {
+  mockUpstream(t, [() => sseResponse([{
+    candidates: [{ content: { role: "model", parts: [{ functionCall: { name: "weather", args: { city: "Oslo" } } }] }, finishReason: "STOP", index: 0 }],
+  }])]);
+  const body = await (await chatCompletion({ messages: [{ role: "user", content: "Weather in Oslo?" }] })).json();
+
+  assert.equal(body.object, "chat.completion");
+  const [choice] = body.choices;
+  assert.equal(choice.finish_reason, "tool_calls");
+  assert.equal(choice.message.content, null);
+  assert.equal(choice.message.tool_calls[0].function.name, "weather");
+  assert.deepEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { city: "Oslo" });
+});
+
+test("an upstream error is returned in the OpenAI error shape", async (t) => {
+  mockUpstream(t, [() => new Response(JSON.stringify({ error: { code: 400, message: "Bad model", status: "INVALID_ARGUMENT" } }), {
+    status: 400,
+    headers: { "Content-Type": "application/json" },
+  })]);
+  const response = await chatCompletion({ messages: [{ role: "user", content: "Hi" }] });
+
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.type, "invalid_request_error");
+  assert.equal(error.code, "INVALID_ARGUMENT");
+});
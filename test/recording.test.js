@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import worker from "../index.js";
+import { TEST_ENV, mockUpstream, sseResponse, streamGenerate, textChunk } from "./helpers.js";
+
+/** Waits until `dir` holds `count` recordings; they are stored in the background once a session ends. */
+async function recordingsIn(dir, count) {
+  for (let i = 0; i < 100; i++) {
+    const files = await readdir(dir).catch(() => []);
+    if (files.length >= count) return Promise.all(files.map(async f => JSON.parse(await readFile(join(dir, f), "utf8"))));
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Expected ${count} recordings in ${dir}`);
+}
+
+test("sessions reusing a request ID are recorded separately and replay to the same output", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "antiblock-recordings-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const env = { RECORD_SESSIONS: "true", RECORDING_STORE: "disk", RECORDING_DIR: dir, REPLAY_TOKEN: "replay-secret" };
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Recorded ")]),
+    () => sseResponse([textChunk("answer.", "STOP")]),
+    () => sseResponse([textChunk("Another answer.", "STOP")]),
+  ]);
+  const headers = { "X-Request-Id": "reused-id" };
+  const output = await (await streamGenerate({ env, headers })).text();
+  await (await streamGenerate({ env, headers, text: "Something else." })).text();
+
+  const recordings = await recordingsIn(dir, 2);
+  assert.notEqual(recordings[0].id, recordings[1].id);
+  assert.deepEqual(recordings.map(r => r.request_id), ["reused-id", "reused-id"]);
+  const recording = recordings.find(r => r.attempts.length === 2);
+  assert.equal(recording.outcome, "complete");
+  assert.equal(recording.output.map(([, text]) => text).join(""), output);
+
+  const replay = await worker.fetch(new Request("http://proxy.test/replay", {
+    method: "POST",
+    headers: { "Authorization": "Bearer replay-secret", "Content-Type": "application/json" },
+    body: JSON.stringify({ id: recording.id }),
+  }), { ...TEST_ENV, ...env });
+  const result = await replay.json();
+  assert.equal(replay.status, 200);
+  assert.equal(result.output_matches, true);
+  assert.deepEqual(result.attempts.map(a => a.body_matches), [true, true]);
+});
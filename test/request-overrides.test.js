@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, statusEvents, streamGenerate, textChunk } from "./helpers.js";
+
+const ENV = { RETRY_DELAY_MS: "40", RETRY_JITTER: "none", MAX_CONSECUTIVE_RETRIES: "1" };
+
+const interruptedOnce = (t) => mockUpstream(t, [
+  () => sseResponse([textChunk("Cut ")]),
+  () => sseResponse([textChunk("off.", "STOP")]),
+]);
+
+test("a request can lengthen its retry delay but not shorten it", async (t) => {
+  interruptedOnce(t);
+  const shorter = await streamGenerate({ env: ENV, headers: { "X-Antiblock-Events": "on", "X-Antiblock-Retry-Delay-Ms": "0" } });
+  assert.equal(statusEvents(await shorter.text()).find(e => e.type === "retry_started").delay_ms, 40);
+
+  interruptedOnce(t);
+  const longer = await streamGenerate({ env: ENV, headers: { "X-Antiblock-Events": "on", "X-Antiblock-Retry-Delay-Ms": "60" } });
+  assert.equal(statusEvents(await longer.text()).find(e => e.type === "retry_started").delay_ms, 60);
+});
+
+test("a request cannot raise its retry limit above the deployment's", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("One ")]),
+    () => sseResponse([textChunk("two ")]),
+  ]);
+  const response = await streamGenerate({ env: { ...ENV, RETRY_DELAY_MS: "1" }, headers: { "X-Antiblock-Max-Retries": "5" } });
+  await response.text();
+  assert.equal(requests.length, 2);
+});
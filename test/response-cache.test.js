@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseDataPayloads, sseResponse, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const CACHE_ENV = { RESPONSE_CACHE: "memory", RESPONSE_CACHE_MODE: "all" };
+
+/**
+ * An SSE upstream response that sends its first chunk at once and the rest only after `release()`.
+ * `cancelled` resolves when the proxy cancels the upstream body.
+ */
+function heldResponse(first, rest) {
+  let release, cancel;
+  const released = new Promise(resolve => { release = resolve; });
+  const cancelled = new Promise(resolve => { cancel = resolve; });
+  const encode = (chunk) => new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+  const body = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encode(textChunk(first)));
+      await released;
+      controller.enqueue(encode(textChunk(rest, "STOP")));
+      controller.close();
+    },
+    cancel: () => cancel(true),
+  });
+  return {
+    response: () => new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } }),
+    release,
+    cancelled,
+  };
+}
+
+const within = (promise, ms) => Promise.race([promise, new Promise(resolve => setTimeout(() => resolve(false), ms))]);
+
+/** Reads the first payload of a response and then disconnects. */
+async function readFirstAndLeave(response) {
+  const reader = response.body.getReader();
+  await reader.read();
+  await reader.cancel();
+}
+
+test("a cached session is cancelled upstream when its only client goes away", async (t) => {
+  const upstream = heldResponse("Nobody waits ", "for this.");
+  mockUpstream(t, [upstream.response]);
+  const response = await streamGenerate({ env: CACHE_ENV, text: "cancel without a key" });
+  await readFirstAndLeave(response);
+
+  assert.equal(await within(upstream.cancelled, 1000), true);
+  upstream.release();
+});
+
+test("a session with an Idempotency-Key finishes for the cache after its client goes away", async (t) => {
+  const upstream = heldResponse("Finished ", "for the retry.");
+  mockUpstream(t, [upstream.response]);
+  const request = { env: CACHE_ENV, text: "finish for the cache", headers: { "Idempotency-Key": "retry-1" } };
+  await readFirstAndLeave(await streamGenerate(request));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  upstream.release();
+  assert.equal(await within(upstream.cancelled, 50), false);
+
+  const retry = await streamGenerate(request);
+  assert.match(retry.headers.get("X-Antiblock-Cache"), /^(hit|attached)$/);
+  assert.equal(textOf(sseDataPayloads(await retry.text())), "Finished for the retry.");
+});
+
+test("a detached session is cancelled once RESPONSE_CACHE_DETACHED_MAX_MS passes", async (t) => {
+  const upstream = heldResponse("Nobody ", "came back.");
+  mockUpstream(t, [upstream.response]);
+  const response = await streamGenerate({
+    env: { ...CACHE_ENV, RESPONSE_CACHE_DETACHED_MAX_MS: "30" },
+    text: "detached cap",
+    headers: { "Idempotency-Key": "retry-2" },
+  });
+  await readFirstAndLeave(response);
+
+  assert.equal(await within(upstream.cancelled, 1000), true);
+  upstream.release();
+});
+
+test("a session keeps running while an attached client still reads it", async (t) => {
+  const upstream = heldResponse("Shared ", "answer.");
+  mockUpstream(t, [upstream.response]);
+  const leader = await streamGenerate({ env: CACHE_ENV, text: "shared session" });
+  const follower = await streamGenerate({ env: CACHE_ENV, text: "shared session" });
+  assert.equal(follower.headers.get("X-Antiblock-Cache"), "attached");
+
+  await readFirstAndLeave(leader);
+  assert.equal(await within(upstream.cancelled, 50), false);
+  upstream.release();
+  assert.equal(textOf(sseDataPayloads(await follower.text())), "Shared answer.");
+});
+
+test("requests whose overrides differ do not share a cache entry", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("First answer.", "STOP")]),
+    () => sseResponse([textChunk("Second answer.", "STOP")]),
+  ]);
+  const request = { env: CACHE_ENV, text: "override in the key" };
+  const first = await streamGenerate(request);
+  await first.text();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const overridden = await streamGenerate({ ...request, headers: { "X-Antiblock-Continuation-Prompt": "Keep going" } });
+  assert.equal(overridden.headers.get("X-Antiblock-Cache"), "miss");
+  assert.equal(textOf(sseDataPayloads(await overridden.text())), "Second answer.");
+});
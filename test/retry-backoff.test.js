@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseResponse, statusEvents, streamGenerate, textChunk } from "./helpers.js";
+
+const EVENTS = { "X-Antiblock-Events": "on" };
+
+const retryDelays = async (env) => statusEvents(await (await streamGenerate({ env, headers: EVENTS })).text())
+  .filter(e => e.type === "retry_started")
+  .map(e => e.delay_ms);
+
+const rateLimited = (retryAfter) => () => new Response(JSON.stringify({ error: { code: 429, message: "Slow down" } }), {
+  status: 429,
+  headers: { "Content-Type": "application/json", "Retry-After": retryAfter },
+});
+
+test("backoff grows exponentially up to the max delay", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("One ")]),
+    () => sseResponse([textChunk("two ")]),
+    () => sseResponse([textChunk("three ")]),
+    () => sseResponse([textChunk("four ")]),
+    () => sseResponse([textChunk("five.", "STOP")]),
+  ]);
+  const delays = await retryDelays({ RETRY_DELAY_MS: "5", RETRY_MAX_DELAY_MS: "25", RETRY_JITTER: "none" });
+  assert.deepEqual(delays, [5, 10, 20, 25]);
+});
+
+test("full jitter draws each delay from zero to the backoff", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("One ")]),
+    () => sseResponse([textChunk("two ")]),
+    () => sseResponse([textChunk("three.", "STOP")]),
+  ]);
+  const delays = await retryDelays({ RETRY_DELAY_MS: "10", RETRY_JITTER: "full" });
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] >= 0 && delays[0] <= 10);
+  assert.ok(delays[1] >= 0 && delays[1] <= 20);
+});
+
+test("Retry-After lengthens the backoff of a rate-limited retry", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Before ")]),
+    rateLimited("1"),
+    () => sseResponse([textChunk("after.", "STOP")]),
+  ]);
+  const delays = await retryDelays({
+    RETRY_JITTER: "none",
+    RETRY_POLICIES: JSON.stringify({ RATE_LIMITED: { base_delay_ms: 0, max_delay_ms: 5000 } }),
+  });
+  assert.deepEqual(delays, [1, 1000]);
+});
+
+test("Retry-After is capped at the policy's max delay", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Before ")]),
+    rateLimited("3600"),
+    () => sseResponse([textChunk("after.", "STOP")]),
+  ]);
+  const delays = await retryDelays({ RETRY_JITTER: "none", RETRY_MAX_DELAY_MS: "30" });
+  assert.deepEqual(delays, [1, 30]);
+});
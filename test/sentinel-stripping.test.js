@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseDataPayloads, sseResponse, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const SENTINEL_ENV = { SENTINEL_MODE: "on" };
+
+test("a sentinel split across chunks is stripped without sending empty parts", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("The answer."), textChunk(" [do"), textChunk("ne]", "STOP")]),
+  ]);
+  const chunks = sseDataPayloads(await (await streamGenerate({ env: SENTINEL_ENV })).text());
+
+  assert.match(JSON.stringify(requests[0].systemInstruction), /\[done\]/);
+  assert.equal(textOf(chunks), "The answer.");
+  for (const chunk of chunks) {
+    for (const part of chunk.candidates[0].content.parts) assert.notEqual(part.text, "");
+  }
+  assert.equal(chunks.at(-1).candidates[0].finishReason, "STOP");
+});
+
+test("held text that turns out not to be the sentinel is released", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Arrays like [do"), textChunk("g, cat] work. [done]", "STOP")]),
+  ]);
+  const chunks = sseDataPayloads(await (await streamGenerate({ env: SENTINEL_ENV })).text());
+
+  assert.equal(textOf(chunks), "Arrays like [dog, cat] work.");
+});
+
+test("a missing sentinel makes the proxy retry", async (t) => {
+  const requests = mockUpstream(t, [
+    () => sseResponse([textChunk("Stopped early."), textChunk("", "STOP")]),
+    () => sseResponse([textChunk(" Finished now. [done]", "STOP")]),
+  ]);
+  const chunks = sseDataPayloads(await (await streamGenerate({ env: { ...SENTINEL_ENV, RETRY_DELAY_MS: "0" } })).text());
+
+  assert.equal(requests.length, 2);
+  assert.equal(textOf(chunks), "Stopped early. Finished now.");
+});
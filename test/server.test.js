@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { sseDataPayloads, textOf } from "./helpers.js";
+
+const ANSWER = "A simulated answer streamed slowly enough that the server is still sending it when told to shut down.";
+
+const freePort = async () => {
+  const probe = createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  probe.close();
+  return port;
+};
+
+/** Starts server.js with a JSON config file and resolves once it listens. */
+async function startServer(t) {
+  const dir = mkdtempSync(join(tmpdir(), "antiblock-server-"));
+  const configFile = join(dir, "config.json");
+  writeFileSync(configFile, JSON.stringify({
+    UPSTREAM_SIMULATOR: true,
+    SIMULATOR_TEXT: ANSWER,
+    SIMULATOR_CHUNK_CHARS: 10,
+    SIMULATOR_CHUNK_DELAY_MS: 50,
+    SENTINEL_MODE: "off",
+    LOG_LEVEL: "error",
+  }));
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js", "--config", configFile], {
+    cwd: new URL("..", import.meta.url),
+    env: { PATH: process.env.PATH, PORT: String(port), HOST: "127.0.0.1", SHUTDOWN_TIMEOUT_MS: "10000" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  t.after(() => {
+    if (child.exitCode === null) child.kill("SIGKILL");
+    rmSync(dir, { recursive: true, force: true });
+  });
+  for await (const line of child.stdout) if (String(line).includes("listening")) break;
+  return { child, base: `http://127.0.0.1:${port}` };
+}
+
+const streamRequest = (base) => fetch(`${base}/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: "Tell me a story." }] }] }),
+});
+
+test("SIGTERM drains an active streaming session while /readyz reports 503", { timeout: 30000 }, async (t) => {
+  const { child, base } = await startServer(t);
+
+  assert.equal((await fetch(`${base}/healthz`)).status, 200);
+  const ready = await fetch(`${base}/readyz`);
+  assert.deepEqual([ready.status, (await ready.json()).status], [200, "ready"]);
+
+  const streaming = await streamRequest(base);
+  assert.equal(streaming.status, 200);
+  const reader = streaming.body.getReader();
+  const decoder = new TextDecoder();
+  let body = decoder.decode((await reader.read()).value, { stream: true });
+
+  const exited = once(child, "exit");
+  child.kill("SIGTERM");
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const draining = await fetch(`${base}/readyz`);
+  assert.deepEqual([draining.status, await draining.json()], [503, { status: "draining", active_requests: 1 }]);
+  assert.equal((await streamRequest(base)).status, 503);
+
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) body += decoder.decode(chunk.value, { stream: true });
+  assert.equal(textOf(sseDataPayloads(body)), ANSWER);
+
+  const [code] = await exited;
+  assert.equal(code, 0);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockUpstream, sseDataPayloads, statusEvents, streamGenerate, textOf } from "./helpers.js";
+
+const ANSWER = "A simulated answer that is streamed in several small chunks and ends here.";
+const ENV = { UPSTREAM_SIMULATOR: "true", SIMULATOR_TEXT: ANSWER, SIMULATOR_CHUNK_CHARS: "10", SIMULATOR_CHUNK_DELAY_MS: "0" };
+
+/** Streams a simulated session with the given script and returns its body; nothing may reach the network. */
+async function simulate(t, script, { format = "sse", env = {} } = {}) {
+  const requests = mockUpstream(t, []);
+  const response = await streamGenerate({ format, env: { ...ENV, ...env }, headers: { "X-Antiblock-Simulate": script, "X-Antiblock-Events": "true" } });
+  const body = await response.text();
+  assert.equal(requests.length, 0, "the simulator never calls fetch");
+  return { response, body };
+}
+
+test("a dropped simulated stream is retried and stitched into the full answer", async (t) => {
+  const { body } = await simulate(t, "drop:30,ok");
+
+  assert.equal(textOf(sseDataPayloads(body)), ANSWER);
+  const interruptions = statusEvents(body).filter(e => e.type === "interrupted");
+  assert.deepEqual(interruptions.map(e => [e.reason, e.text_chars]), [["DROP", 30]]);
+});
+
+test("each upstream call takes the next step of the script", async (t) => {
+  const { body } = await simulate(t, "drop:10,drop:20,safety,ok", { env: { BLOCK_RECOVERY: JSON.stringify({ SAFETY: ["retry"] }) } });
+
+  assert.equal(textOf(sseDataPayloads(body)), ANSWER);
+  assert.deepEqual(statusEvents(body).filter(e => e.type === "interrupted").map(e => e.reason), ["DROP", "DROP", "BLOCK"]);
+});
+
+test("the last step of the script repeats", async (t) => {
+  const { body } = await simulate(t, "drop:10", { env: { MAX_CONSECUTIVE_RETRIES: "2" } });
+
+  assert.deepEqual(statusEvents(body).filter(e => e.type === "interrupted").map(e => e.reason), ["DROP", "DROP", "DROP"]);
+});
+
+test("a simulated HTTP error is retried like a real one", async (t) => {
+  const { body } = await simulate(t, "drop:30,503,ok");
+
+  assert.equal(textOf(sseDataPayloads(body)), ANSWER);
+});
+
+test("the simulator streams a JSON array without alt=sse", async (t) => {
+  const { body } = await simulate(t, "drop:30,ok", { format: "json" });
+
+  assert.equal(textOf(JSON.parse(body)), ANSWER);
+});
+
+test("an unknown fault is answered with a 400", async (t) => {
+  const { response } = await simulate(t, "explode");
+
+  assert.equal(response.status, 400);
+});
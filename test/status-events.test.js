@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { mockUpstream, sseResponse, sseDataPayloads, statusEvents, streamGenerate, streamedResponse, textChunk, textOf } from "./helpers.js";
+
+const EVENTS = { "X-Antiblock-Events": "true" };
+
+/** An SSE upstream response that waits `delayMs` before each chunk. */
+const slowResponse = (chunks, delayMs) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  const body = new ReadableStream({
+    async pull(controller) {
+      await sleep(delayMs);
+      if (queue.length) controller.enqueue(encoder.encode(`data: ${JSON.stringify(queue.shift())}\r\n\r\n`));
+      else controller.close();
+    },
+  });
+  return new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+};
+
+test("without the opt-in an uninterrupted stream is forwarded byte for byte", async (t) => {
+  const pieces = [textChunk("Hello, "), textChunk("world."), textChunk("", "STOP")].map(c => `data: ${JSON.stringify(c)}\n\n`);
+  mockUpstream(t, [() => streamedResponse(pieces)]);
+  const response = await streamGenerate({ env: { HEARTBEAT_INTERVAL_MS: "1" } });
+
+  assert.equal(await response.text(), pieces.join(""));
+});
+
+test("an opted-in client sees the interruption and the retry as status events", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Hello, ")]),
+    () => sseResponse([textChunk("world.", "STOP")]),
+  ]);
+  const body = await (await streamGenerate({ headers: EVENTS })).text();
+
+  assert.equal(textOf(sseDataPayloads(body)), "Hello, world.");
+  const events = statusEvents(body);
+  assert.deepEqual(events.map(e => e.type), ["interrupted", "swallow_mode", "retry_started", "swallow_mode"]);
+  assert.deepEqual({ reason: events[0].reason, attempt: events[0].attempt }, { reason: "DROP", attempt: 1 });
+  assert.equal(events[0].text_chars, "Hello, ".length);
+  assert.deepEqual(events.filter(e => e.type === "swallow_mode").map(e => e.active), [true, false]);
+});
+
+test("an opted-in client receives heartbeats while the upstream is quiet", async (t) => {
+  const chunks = [textChunk("Hello, "), textChunk("world.", "STOP")];
+  mockUpstream(t, [() => slowResponse(chunks, 150), () => slowResponse(chunks, 150)]);
+
+  const quiet = await (await streamGenerate({ env: { HEARTBEAT_INTERVAL_MS: "20" } })).text();
+  assert.doesNotMatch(quiet, /^: ping/m);
+
+  const opted = await (await streamGenerate({ env: { HEARTBEAT_INTERVAL_MS: "20" }, headers: EVENTS })).text();
+  assert.match(opted, /^: ping/m);
+  assert.equal(textOf(sseDataPayloads(opted)), "Hello, world.");
+});
+
+test("the JSON-array format never carries status events", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("Hello, ")]),
+    () => sseResponse([textChunk("world.", "STOP")]),
+  ]);
+  const body = await (await streamGenerate({ format: "json", headers: EVENTS })).text();
+
+  const chunks = JSON.parse(body);
+  assert.equal(textOf(chunks), "Hello, world.");
+  assert.doesNotMatch(body, /event:|: ping/);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../index.js";
+import { TEST_ENV, mockUpstream, sseResponse, sseDataPayloads, streamGenerate, textChunk } from "./helpers.js";
+
+const withUsage = (chunk, candidatesTokenCount) => ({
+  ...chunk,
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount, totalTokenCount: 10 + candidatesTokenCount },
+});
+
+test("estimated usage of an attempt without usageMetadata is only reported in the breakdown", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([textChunk("An attempt that never reported its usage, ")]),
+    () => sseResponse([withUsage(textChunk("then one that did.", "STOP"), 7)]),
+  ]);
+  const response = await streamGenerate();
+  const final = sseDataPayloads(await response.text()).at(-1);
+
+  assert.deepEqual(final.usageMetadata, { promptTokenCount: 10, candidatesTokenCount: 7, totalTokenCount: 17 });
+  const [estimated, reported] = final.antiblock.usage.attempts;
+  assert.equal(estimated.estimated, true);
+  assert.ok(estimated.usage.candidatesTokenCount > 0);
+  assert.equal(reported.estimated, undefined);
+});
+
+test("the chunk that ends an exhausted output token budget reports only upstream's counts", async (t) => {
+  mockUpstream(t, [
+    () => sseResponse([withUsage(textChunk("Reported attempt. "), 3)]),
+    () => sseResponse([textChunk("An estimated attempt, ")]),
+  ]);
+  const request = new Request("http://proxy.test/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse", {
+    method: "POST",
+    body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: "Go." }] }], generationConfig: { maxOutputTokens: 6 } }),
+  });
+  const final = sseDataPayloads(await (await worker.fetch(request, TEST_ENV)).text()).at(-1);
+
+  assert.equal(final.candidates[0].finishReason, "MAX_TOKENS");
+  assert.deepEqual(final.usageMetadata, { promptTokenCount: 10, candidatesTokenCount: 3, totalTokenCount: 13 });
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, verify } from "node:crypto";
+import { sseResponse, sseDataPayloads, streamGenerate, textChunk, textOf } from "./helpers.js";
+
+const TOKEN_URL = "https://oauth.test/token";
+const { privateKey, publicKey } = generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" },
+});
+
+// Tokens are cached per service account, so every test uses an account of its own.
+const vertexEnv = (clientEmail) => ({
+  UPSTREAM_MODE: "vertex",
+  VERTEX_PROJECT: "my-project",
+  VERTEX_URL_BASE: "https://vertex.test",
+  VERTEX_TOKEN_URL: TOKEN_URL,
+  VERTEX_SERVICE_ACCOUNT: JSON.stringify({ client_email: clientEmail, private_key: privateKey, private_key_id: "key-1" }),
+  PROXY_AUTH_TOKENS: "proxy-token",
+});
+const AUTH = { "X-Goog-Api-Key": "proxy-token" };
+
+/**
+ * Replaces `fetch` with a token endpoint that issues `tok-1`, `tok-2`, ... and a Vertex AI endpoint that answers
+ * each request with the next of `responses`.
+ * @returns {{ assertions: string[], upstream: Request[] }} The JWTs sent to the token endpoint and the Vertex requests.
+ */
+function mockVertex(t, responses) {
+  const calls = { assertions: [], upstream: [] };
+  t.mock.method(globalThis, "fetch", async (input, init) => {
+    const request = new Request(input, init);
+    if (request.url === TOKEN_URL) {
+      const form = new URLSearchParams(await request.text());
+      assert.equal(form.get("grant_type"), "urn:ietf:params:oauth:grant-type:jwt-bearer");
+      calls.assertions.push(form.get("assertion"));
+      return Response.json({ access_token: `tok-${calls.assertions.length}`, expires_in: 3600 });
+    }
+    calls.upstream.push(request);
+    const next = responses.shift();
+    if (!next) throw new Error(`Unexpected upstream request to ${request.url}`);
+    return next();
+  });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  return calls;
+}
+
+const answer = () => sseResponse([textChunk("Served by Vertex AI.", "STOP")]);
+const decodeJwtPart = (part) => JSON.parse(Buffer.from(part, "base64url").toString());
+
+test("a signed JWT is exchanged for a token that authorizes the Vertex AI request", async (t) => {
+  const calls = mockVertex(t, [answer]);
+  const response = await streamGenerate({ env: vertexEnv("signer@project.iam.test"), headers: AUTH });
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), "Served by Vertex AI.");
+  assert.equal(calls.assertions.length, 1);
+  const [header, claims, signature] = calls.assertions[0].split(".");
+  assert.deepEqual(decodeJwtPart(header), { alg: "RS256", typ: "JWT", kid: "key-1" });
+  const { iss, aud, scope } = decodeJwtPart(claims);
+  assert.deepEqual({ iss, aud, scope }, { iss: "signer@project.iam.test", aud: TOKEN_URL, scope: "https://www.googleapis.com/auth/cloud-platform" });
+  assert.ok(verify("sha256", Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, "base64url")));
+
+  const [upstream] = calls.upstream;
+  assert.equal(upstream.url, "https://vertex.test/v1/projects/my-project/locations/us-central1/publishers/google/models/gemini-2.5-pro:streamGenerateContent?alt=sse");
+  assert.equal(upstream.headers.get("authorization"), "Bearer tok-1");
+  assert.equal(upstream.headers.get("x-goog-api-key"), null);
+});
+
+test("the access token is cached across requests", async (t) => {
+  const calls = mockVertex(t, [answer, answer]);
+  const env = vertexEnv("cached@project.iam.test");
+  for (let i = 0; i < 2; i++) await (await streamGenerate({ env, headers: AUTH })).text();
+
+  assert.equal(calls.assertions.length, 1);
+  assert.deepEqual(calls.upstream.map(r => r.headers.get("authorization")), ["Bearer tok-1", "Bearer tok-1"]);
+});
+
+test("a rejected token is replaced by a freshly minted one", async (t) => {
+  const rejected = () => Response.json({ error: { code: 401, message: "Invalid credentials" } }, { status: 401 });
+  const calls = mockVertex(t, [rejected, answer]);
+  const response = await streamGenerate({ env: vertexEnv("expired@project.iam.test"), headers: AUTH });
+
+  assert.equal(textOf(sseDataPayloads(await response.text())), "Served by Vertex AI.");
+  assert.deepEqual(calls.upstream.map(r => r.headers.get("authorization")), ["Bearer tok-1", "Bearer tok-2"]);
+});
+
+test("a failing token endpoint is reported as a 502", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response("not found", { status: 404 }));
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const response = await streamGenerate({ env: vertexEnv("broken@project.iam.test"), headers: AUTH });
+
+  assert.equal(response.status, 502);
+  assert.deepEqual(globalThis.fetch.mock.calls.map(c => String(c.arguments[0])), [TOKEN_URL]);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Replays a recorded session through the proxy in-process, without any upstream traffic.
+ *
+ *   node tools/replay.mjs <recording.json> [--timing=recorded] [--set key=value ...] [--output]
+ *
+ * `--set` replays with a different setting (values are parsed as JSON when possible, e.g.
+ * `--set overlap_min_similarity=0.8`), `--output` prints the replayed output. Exits with 1 when the
+ * replayed output differs from the recorded one.
+ */
+import { readFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import worker from "../index.js";
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith("--"));
+if (!file) {
+  console.error("Usage: node tools/replay.mjs <recording.json> [--timing=recorded] [--set key=value ...] [--output]");
+  process.exit(2);
+}
+
+const overrides = {};
+let timing = "none";
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith("--timing=")) timing = args[i].slice("--timing=".length);
+  if (args[i] === "--set" && args[i + 1]) {
+    const [key, ...rest] = args[++i].split("=");
+    const value = rest.join("=");
+    try {
+      overrides[key] = JSON.parse(value);
+    } catch (_) {
+      overrides[key] = value;
+    }
+  }
+}
+
+const recording = JSON.parse(await readFile(file, "utf8"));
+// The replay route is enabled for this process only, and its logs stay out of the report.
+process.env.REPLAY_TOKEN = randomUUID();
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+const response = await worker.fetch(new Request("http://replay.local/replay", {
+  method: "POST",
+  headers: { "Authorization": `Bearer ${process.env.REPLAY_TOKEN}`, "Content-Type": "application/json" },
+  body: JSON.stringify({ recording, timing, overrides })
+}), process.env);
+const result = await response.json();
+if (!response.ok) {
+  console.error(`Replay failed: ${result.error?.message || response.status}`);
+  process.exit(2);
+}
+
+console.log(`Session ${result.id} (${recording.attempts.length} recorded attempts, outcome: ${recording.outcome})`);
+for (const attempt of result.attempts) {
+  const source = attempt.recorded ? "recorded" : "no recording";
+  console.log(`  attempt ${attempt.attempt}: ${source}, interruption: ${attempt.interruption || "-"}, request body ${attempt.body_matches ? "matches" : "differs"}`);
+}
+console.log(result.output_matches ? "Output matches the recording." : `Output differs from offset ${result.first_difference}.`);
+if (args.includes("--output")) console.log(`\n${result.output}`);
+process.exit(result.output_matches ? 0 : 1);